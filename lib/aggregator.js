@@ -0,0 +1,140 @@
+'use strict';
+
+var configHelper = require('./config-helper');
+
+/**
+ * Computes a percentile of the specified values using the nearest-rank method.
+ *
+ * @param values An array of values
+ * @param percentile The percentile to compute, between 0 and 100
+ * @returns {number} The value at the specified percentile
+ */
+function computePercentile(values, percentile) {
+    var sorted = values.slice().sort(function (a, b) {
+        return a - b;
+    });
+
+    return sorted[Math.max(0, Math.ceil(percentile / 100 * sorted.length) - 1)];
+}
+
+function buildBucketKey(name, namespace, tags, aggFreq, windowStart) {
+    return [configHelper.buildSeriesKey(name, namespace, tags), aggFreq, windowStart].join('|');
+}
+
+function computeAggregation(bucket, agg) {
+    switch (agg) {
+        case 'avg':
+            return bucket.sum / bucket.count;
+        case 'sum':
+            return bucket.sum;
+        case 'count':
+            return bucket.count;
+        case 'min':
+            return bucket.min;
+        case 'max':
+            return bucket.max;
+        case 'first':
+            return bucket.first;
+        case 'last':
+            return bucket.last;
+        case 'p90':
+            return computePercentile(bucket.values, 90);
+        case 'p95':
+            return computePercentile(bucket.values, 95);
+    }
+}
+
+/**
+ * Folds metric values in memory, per metric name and tag set, over aggregation frequency windows.
+ *
+ * @constructor Build an aggregator.
+ */
+var Aggregator = function () {
+    this.buckets = {};
+};
+
+/**
+ * Folds a metric value into the window it belongs to.
+ *
+ * @param name A metric name.
+ * @param value A metric value.
+ * @param parameters An object with metric parameters: tags, agg, aggFreq, namespace and timestamp.
+ */
+Aggregator.prototype.add = function (name, value, parameters) {
+    var tags = parameters.tags || {},
+        agg = parameters.agg || [],
+        aggFreq = parameters.aggFreq || 10,
+        timestamp = parameters.timestamp || Math.round(Date.now() / 1000),
+        windowStart = timestamp - (timestamp % aggFreq),
+        key = buildBucketKey(name, parameters.namespace, tags, aggFreq, windowStart),
+        bucket = this.buckets[key],
+        numericValue = Number(value);
+
+    if (!bucket) {
+        bucket = this.buckets[key] = {
+            name: name,
+            namespace: parameters.namespace,
+            tags: tags,
+            agg: [],
+            aggFreq: aggFreq,
+            windowStart: windowStart,
+            count: 0,
+            sum: 0,
+            min: numericValue,
+            max: numericValue,
+            first: numericValue,
+            values: []
+        };
+    }
+
+    agg.forEach(function (aggregation) {
+        if (bucket.agg.indexOf(aggregation) === -1) {
+            bucket.agg.push(aggregation);
+        }
+    });
+
+    bucket.count++;
+    bucket.sum += numericValue;
+    bucket.min = Math.min(bucket.min, numericValue);
+    bucket.max = Math.max(bucket.max, numericValue);
+    bucket.last = numericValue;
+    bucket.values.push(numericValue);
+};
+
+/**
+ * Removes and returns the aggregated values of the windows that are already closed.
+ *
+ * @param force Collects every window, including the ones still open.
+ * @returns {Array} An array of aggregated metrics with name, namespace, tags, aggFreq, timestamp and an object of values per aggregation
+ */
+Aggregator.prototype.collect = function (force) {
+    var now = Math.round(Date.now() / 1000),
+        collected = [],
+        self = this;
+
+    Object.keys(this.buckets).forEach(function (key) {
+        var bucket = self.buckets[key],
+            values = {};
+
+        if (force || bucket.windowStart + bucket.aggFreq <= now) {
+            delete self.buckets[key];
+
+            bucket.agg.forEach(function (agg) {
+                values[agg] = computeAggregation(bucket, agg);
+            });
+
+            collected.push({
+                name: bucket.name,
+                namespace: bucket.namespace,
+                tags: bucket.tags,
+                aggFreq: bucket.aggFreq,
+                timestamp: bucket.windowStart,
+                values: values
+            });
+        }
+    });
+
+    return collected;
+};
+
+module.exports = Aggregator;
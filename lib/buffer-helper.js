@@ -0,0 +1,121 @@
+'use strict';
+
+var configHelper = require('./config-helper');
+
+var validOverflowPolicies = ['dropNewest', 'dropOldest', 'flush'];
+
+var defaultBufferConfig = {
+    maxBytes: 1048576,
+    maxLines: 0,
+    overflowPolicy: 'flush'
+};
+
+/**
+ * Builds the buffer configuration, filling the missing options with the defaults.
+ *
+ * @param bufferConfig The buffer configuration. Can be undefined to use the defaults.
+ * @returns {*} A buffer configuration object
+ */
+function buildBufferConfig(bufferConfig) {
+    var config = {},
+        option;
+
+    bufferConfig = bufferConfig || {};
+
+    for (option in defaultBufferConfig) {
+        if (defaultBufferConfig.hasOwnProperty(option)) {
+            config[option] = bufferConfig[option] !== undefined ? bufferConfig[option] : defaultBufferConfig[option];
+        }
+    }
+
+    if (!configHelper.isNonNegativeInteger(config.maxBytes) || !configHelper.isNonNegativeInteger(config.maxLines) ||
+        validOverflowPolicies.indexOf(config.overflowPolicy) === -1) {
+        throw 'Buffer configuration is invalid, please read the documentation';
+    }
+
+    return config;
+}
+
+/**
+ * Computes the number of bytes a metric line takes in a buffer, including its line break.
+ *
+ * @param line A metric line in line protocol.
+ * @returns {number} The number of bytes
+ */
+function getLineBytes(line) {
+    return Buffer.byteLength(String(line)) + 1;
+}
+
+/**
+ * Checks if a buffer would exceed the configured limits after adding a metric line.
+ *
+ * @param config The buffer configuration.
+ * @param lines The number of lines in the buffer.
+ * @param bytes The number of bytes in the buffer.
+ * @param lineBytes The number of bytes of the line to add.
+ * @returns {boolean} Returns true if the limits would be exceeded
+ */
+function wouldOverflow(config, lines, bytes, lineBytes) {
+    return (config.maxLines > 0 && lines + 1 > config.maxLines) ||
+        (config.maxBytes > 0 && bytes + lineBytes > config.maxBytes);
+}
+
+/**
+ * Removes the oldest metric line of a string buffer.
+ *
+ * @param buffer A string buffer with metric lines separated by line breaks.
+ * @returns {*} An object with the remaining buffer and the removed line
+ */
+function removeOldestLine(buffer) {
+    var lineBreak = buffer.indexOf('\n');
+
+    if (lineBreak === -1) {
+        return {buffer: '', line: buffer};
+    }
+
+    return {buffer: buffer.substr(lineBreak + 1), line: buffer.substr(0, lineBreak)};
+}
+
+/**
+ * Splits a string buffer into chunks of whole metric lines, each one up to the specified size.
+ * Lines bigger than the specified size are kept in a chunk of their own.
+ *
+ * @param buffer A string buffer with metric lines separated by line breaks.
+ * @param maxBytes The maximum size of each chunk in bytes.
+ * @returns {Array} The chunks
+ */
+function splitLines(buffer, maxBytes) {
+    var chunks = [],
+        chunk = '',
+        chunkBytes = 0;
+
+    buffer.split('\n').forEach(function (line) {
+        var lineBytes = Buffer.byteLength(line);
+
+        if (chunk.length > 0 && chunkBytes + 1 + lineBytes > maxBytes) {
+            chunks.push(chunk);
+            chunk = '';
+            chunkBytes = 0;
+        }
+
+        if (chunk.length > 0) {
+            chunk += '\n';
+            chunkBytes++;
+        }
+
+        chunk += line;
+        chunkBytes += lineBytes;
+    });
+
+    if (chunk.length > 0) {
+        chunks.push(chunk);
+    }
+
+    return chunks;
+}
+
+exports.buildBufferConfig = buildBufferConfig;
+exports.getLineBytes = getLineBytes;
+exports.wouldOverflow = wouldOverflow;
+exports.removeOldestLine = removeOldestLine;
+exports.splitLines = splitLines;
@@ -1,112 +1,352 @@
 'use strict';
 
-var dgram = require('dgram'),
+/*global Promise */
+
+var util = require('util'),
+    path = require('path'),
+    EventEmitter = require('events').EventEmitter,
     blocked = require('blocked'),
-    request = require('request'),
     merge = require('merge'),
-    zlib = require('zlib'),
-    Readable = require('stream').Readable,
-    configHelper = require('./config-helper');
+    configHelper = require('./config-helper'),
+    bufferHelper = require('./buffer-helper'),
+    filterHelper = require('./filter-helper'),
+    sanitizer = require('./sanitizer'),
+    timerHelper = require('./timer-helper'),
+    transports = require('./transports'),
+    Aggregator = require('./aggregator'),
+    Meter = require('./meter'),
+    SetTracker = require('./set-tracker'),
+    Spool = require('./spool');
 
 /**
- * Builds a default options object to use for remote HTTP requests.
+ * Emits an error event, only if someone is listening to it, since unhandled error events are thrown.
  *
- * @param protocol The protocol to use.
- * @param host The host to send.
- * @param port The port on the host.
- * @param path The path to send.
- * @param token A Statful token object for authentication.
- * @param timeout A request timeout.
+ * @param self A self client instance.
+ * @param error The error to emit.
+ * @param details An object with details about the error, if any.
+ */
+function emitError(self, error, details) {
+    if (self.listeners('error').length > 0) {
+        self.emit('error', error, details);
+    }
+}
+
+/**
+ * Emits a dropped event for metrics that will not be sent.
  *
- * @returns {*} An options object.
+ * @param self A self client instance.
+ * @param reason The reason for dropping: sampleRate, invalidArguments, closed, aggregationNotSupported, deliveryFailure
+ *          or bufferOverflow.
+ * @param count The number of metrics dropped.
+ * @param name The name of the metric dropped, if a single metric was dropped.
  */
-function buildStatfulOptions(protocol, host, port, path, token, timeout) {
-    return {
-        url: protocol + '://' + host + ':' + port + path,
-        method: 'PUT',
-        headers: {
-            'Content-Type': 'application/json',
-            'User-Agent': 'statful-client-nodejs ',
-            'M-Api-Token': token
-        },
-        timeout: timeout
-    };
+function emitDropped(self, reason, count, name) {
+    var event = {reason: reason, count: count};
+
+    if (name) {
+        event.name = name;
+    }
+
+    self.emit('dropped', event);
+}
+
+/**
+ * Emits the events for the delivery result of a flush request: sent if it succeeded, dropped and error otherwise.
+ * The metrics that didn't fit in the request queue of the transport are dropped as a buffer overflow.
+ *
+ * @param self A self client instance.
+ * @param result The delivery result.
+ */
+function emitDelivery(self, result) {
+    if (!result.error) {
+        self.emit('sent', result);
+        return;
+    }
+
+    if (!result.spooled) {
+        emitDropped(self, result.error.code === 'EQUEUEFULL' ? 'bufferOverflow' : 'deliveryFailure', result.lines);
+    }
+
+    emitError(self, result.error, result);
 }
 
 /**
- * Creates a stream from a string.
+ * Counts the metric lines of a message.
+ *
+ * @param message A message in line protocol.
  *
- * @param string The string to transform to stream.
+ * @returns {number} The number of lines.
+ */
+function countLines(message) {
+    return message.split('\n').length;
+}
+
+/**
+ * Marks an in-flight flush as finished, notifying whoever is waiting for the client to be idle.
  *
- * @returns {*} A pipeable stream.
+ * @param self A self client instance.
  */
-function getGzipStreamFromString(string) {
-    var messageStream = new Readable();
-    messageStream.push(string);
-    messageStream.push(null);
+function onFlushFinished(self) {
+    self.inFlight--;
 
-    return messageStream
-        .pipe(zlib.createGzip());
+    if (self.inFlight === 0 && self.onIdle) {
+        self.onIdle();
+    }
 }
 
 /**
- * Execute the request using the specified options.
+ * Puts a system stat reported by a transport, if system stats are enabled.
  *
- * @param options The options to use in the request.
- * @param logger A logger instance.
+ * @param self A self client instance.
+ * @param name The name of the stat.
+ * @param value The value of the stat.
+ * @param parameters An object with metric parameters: tags and agg.
+ */
+function putTransportStat(self, name, value, parameters) {
+    // Transports may report in the middle of a flush, which empties the buffer once it is done
+    process.nextTick(function () {
+        if (self.systemStats && !self.closed) {
+            self.put(name, value, parameters);
+        }
+    });
+}
+
+/**
+ * Replays the spooled messages of a destination, in order, until its spool is empty or a message fails to be delivered.
  *
- * @returns {*|exports}
+ * @param destination The destination to replay.
  */
-function performRequest(options, logger) {
-    return request(options, function callback(error, response) {
-        if (logger) {
-            if (error) {
-                logger.error('An error occurred: ' + error);
-            }
+function replaySpool(destination) {
+    if (destination.spool && !destination.spool.isEmpty()) {
+        destination.spool.replay(function (entry, callback) {
+            destination.transport.send(entry.message, entry.agg ? {agg: entry.agg, aggFreq: entry.aggFreq} : null, callback);
+        });
+    }
+}
 
-            if (response && response.statusCode !== 201) {
-                logger.error('Unexpected status: ' + response.statusCode);
+/**
+ * Sends a payload through the transport of a destination, spooling it to disk if it can't be delivered.
+ *
+ * @param self A self client instance.
+ * @param destination The destination to send to.
+ * @param payload The metric lines to send.
+ * @param routing The aggregation and aggregation frequency of the metrics, or null if they are not aggregated.
+ * @param callback A function called with the delivery result.
+ */
+function sendToTransport(self, destination, payload, routing, callback) {
+    self.inFlight++;
+
+    destination.transport.send(payload, routing, function (error, details) {
+        var result = merge({
+            url: destination.transport.url || destination.transport.name,
+            statusCode: null,
+            lines: countLines(payload),
+            bytes: Buffer.byteLength(payload),
+            compressed: false,
+            attempts: 1
+        }, details);
+
+        if (!error) {
+            if (result.compressed && result.bytes > 0) {
+                putTransportStat(self, 'compression.ratio', Buffer.byteLength(payload) / result.bytes,
+                    {agg: ['avg'], tags: {transport: destination.transport.name || 'custom'}});
+            }
+            replaySpool(destination);
+        } else if (destination.spool) {
+            if (self.logger) {
+                self.logger.warn(error.message + ', spooling them');
             }
+            destination.spool.write({agg: routing && routing.agg, aggFreq: routing && routing.aggFreq, message: payload});
+            result.spooled = true;
+        } else if (self.logger) {
+            // While the circuit breaker is open, every flush fails right away, and its state changes are already logged
+            if (error.code === 'ECIRCUITOPEN') {
+                self.logger.debug(error.message + ', discarding them');
+            } else {
+                self.logger.error(error.message + ', discarding them');
+            }
+        }
+
+        if (error) {
+            result.error = error;
         }
+
+        onFlushFinished(self);
+        emitDelivery(self, result);
+        callback(result);
     });
 }
 
 /**
- * Sends the specified message using compression.
+ * Sends a payload through the transport of a destination, split further by the transport if it can only tell
+ * whether the payload fits once it is encoded, like the gzipped payloads of the API transport.
  *
- * @param options The options to use in the request.
- * @param message The message to send in the request.
- * @param logger A logger instance.
+ * @param self A self client instance.
+ * @param destination The destination to send to.
+ * @param payload The metric lines to send.
+ * @param routing The aggregation and aggregation frequency of the metrics, or null if they are not aggregated.
+ * @param callback A function called with the delivery result, or an array with the delivery result of each chunk.
  */
-function sendCompressedMessage(options, message, logger) {
-    options.headers['Content-Encoding'] = 'gzip';
+function splitAndSend(self, destination, payload, routing, callback) {
+    var transport = destination.transport;
+
+    if (typeof transport.splitPayload !== 'function') {
+        sendToTransport(self, destination, payload, routing, callback);
+        return;
+    }
 
-    getGzipStreamFromString(message)
-        .pipe(performRequest(options, logger));
+    // The payload is in flight while it is split, so closing the client waits for it
+    self.inFlight++;
+
+    transport.splitPayload(payload, function (chunks) {
+        var results = [],
+            pending = chunks.length;
+
+        chunks.forEach(function (chunk, index) {
+            sendToTransport(self, destination, chunk, routing, function (result) {
+                results[index] = result;
+                pending--;
+
+                if (pending === 0) {
+                    callback(results);
+                }
+            });
+        });
+
+        onFlushFinished(self);
+    });
 }
 
 /**
- * Sends the specified message without using any compression.
+ * Flushes a buffer through the transport of a destination, split into payloads up to the maximum payload size of the transport.
  *
- * @param options The options to use in the request.
- * @param message The message to send in the request.
- * @param logger A logger instance.
+ * @param self A self client instance.
+ * @param destination The destination to flush to.
+ * @param buffer The metric lines to flush.
+ * @param routing The aggregation and aggregation frequency of the metrics, or null if they are not aggregated.
+ * @param nextRequest A function that returns the callback of the next request of the flush.
+ */
+function flushToTransport(self, destination, buffer, routing, nextRequest) {
+    var maxPayloadSize = destination.transport.capabilities.maxPayloadSize,
+        payloads = maxPayloadSize ? bufferHelper.splitLines(buffer, maxPayloadSize) : [buffer];
+
+    payloads.forEach(function (payload) {
+        splitAndSend(self, destination, payload, routing, nextRequest());
+    });
+}
+
+/**
+ * Flushes the batches of a flush to a destination: aggregated batches are dropped if its transport doesn't support them,
+ * and the remaining ones are filtered by its filter.
+ *
+ * @param self A self client instance.
+ * @param destination The destination to flush to.
+ * @param batches An array with the batches to flush, each with its metric lines and routing.
+ * @param nextRequest A function that returns the callback of the next request of the flush.
+ */
+function flushToDestination(self, destination, batches, nextRequest) {
+    var transport = destination.transport,
+        unsupported = 0;
+
+    if (self.logger) {
+        self.logger.debug('Flushing to ' + (transport.url || transport.name));
+    }
+
+    batches.forEach(function (batch) {
+        var buffer;
+
+        if (batch.routing && !transport.capabilities.aggregatedMetrics) {
+            unsupported += countLines(batch.buffer);
+            return;
+        }
+
+        buffer = filterHelper.filterLines(batch.buffer, destination.filter, !!batch.routing);
+
+        if (buffer.length > 0) {
+            flushToTransport(self, destination, buffer, batch.routing, nextRequest);
+        }
+    });
+
+    if (unsupported > 0) {
+        if (self.logger) {
+            self.logger.debug('Can\'t flush aggregated metrics using ' + (transport.name || 'custom') + ' transport.');
+        }
+        emitDropped(self, 'aggregationNotSupported', unsupported);
+    }
+}
+
+/**
+ * Checks if any destination of the client supports aggregated metrics.
+ *
+ * @param self A self client instance.
+ *
+ * @returns {boolean} Returns true if aggregated metrics can be flushed to at least one destination.
+ */
+function supportsAggregatedMetrics(self) {
+    return self.destinations.some(function (destination) {
+        return !!destination.transport.capabilities.aggregatedMetrics;
+    });
+}
+
+/**
+ * Builds the outcome of a flush from the delivery results of its requests.
+ *
+ * @param results An array with the delivery results.
+ *
+ * @returns {*} An error listing the failed requests, or null if every request succeeded.
  */
-function sendUncompressedMessage(options, message, logger) {
-    options.body = message;
+function buildFlushError(results) {
+    var failed = results.filter(function (result) {
+            return !!result.error;
+        }),
+        error = null;
+
+    if (failed.length > 0) {
+        error = new Error(failed.length + ' of ' + results.length + ' flush request(s) failed');
+        error.results = results;
+    }
 
-    performRequest(options, logger);
+    return error;
 }
 
 /**
- * Flushes the metrics to the Statful via UDP.
+ * Flushes the metrics to every destination of the client.
  *
  * @param self A self client instance.
+ * @param callback A function called with an error, if any request failed, and the delivery results.
  */
-function flush(self) {
-    var buffer;
+function flush(self, callback) {
+    var results = [],
+        batches = [],
+        requests = 0,
+        pending = 1,
+        aggregatedSize = self.aggregatedBuffer.bufferSize,
+        nonAggregatedSize = self.nonAggregatedBuffer.bufferSize,
+        droppedLines;
+
+    function onRequestFinished() {
+        pending--;
+
+        if (pending === 0 && callback) {
+            results = Array.prototype.concat.apply([], results);
+            callback(buildFlushError(results), results);
+        }
+    }
+
+    function nextRequest() {
+        var index = requests++;
+
+        pending++;
+
+        return function (result) {
+            results[index] = result;
+            onRequestFinished();
+        };
+    }
 
     if ( (self.aggregatedBuffer.bufferSize + self.nonAggregatedBuffer.bufferSize) > 0) {
+        self.emit('flush', {aggregated: self.aggregatedBuffer.bufferSize, nonAggregated: self.nonAggregatedBuffer.bufferSize});
+
         if (self.dryRun) {
             if (self.logger) {
                 if (self.nonAggregatedBuffer.bufferSize > 0) {
@@ -132,79 +372,108 @@ function flush(self) {
                 }
             }
         } else {
-            switch (self.transport) {
-                case 'udp':
-                    if (self.logger) {
-                        self.logger.debug('Flushing to ' + self.host + ', UDP port: ' + self.port);
-                    }
+            if (self.nonAggregatedBuffer.bufferSize > 0) {
+                batches.push({buffer: self.nonAggregatedBuffer.buffer, routing: null});
+            }
 
-                    if (self.aggregatedBuffer.bufferSize > 0) {
-                        if (self.logger) {
-                            self.logger.debug('Can\'t flush aggregated metrics using udp transport.');
+            if (self.aggregatedBuffer.bufferSize > 0) {
+                for (var agg in self.aggregatedBuffer) {
+                    for (var aggFreq in self.aggregatedBuffer[agg]) {
+                        if (self.aggregatedBuffer[agg][aggFreq].buffer.length > 0) {
+                            batches.push({buffer: self.aggregatedBuffer[agg][aggFreq].buffer, routing: {agg: agg, aggFreq: Number(aggFreq)}});
+                            self.aggregatedBuffer[agg][aggFreq].buffer = '';
                         }
-                        self.aggregatedBuffer = configHelper.createEmptyAggregatedBuffer();
                     }
+                }
+            }
 
-                    if (self.nonAggregatedBuffer.bufferSize > 0) {
-                        buffer = new Buffer(self.nonAggregatedBuffer.buffer);
-                        self.socket.send(buffer, 0, buffer.length, self.port, self.host);
-                    }
-                    break;
-                case 'api':
-                    if (self.nonAggregatedBuffer.bufferSize > 0) {
-                        var nonAggregatedOptions = buildStatfulOptions(
-                            self.protocol, self.host, self.port, self.basePath, self.token, self.timeout);
-
-                        if (self.logger) {
-                            self.logger.debug('Flushing to ' + nonAggregatedOptions.url + ' non aggregated metrics');
-                        }
+            self.destinations.forEach(function (destination) {
+                flushToDestination(self, destination, batches, nextRequest);
+            });
+        }
 
-                        if (self.compression) {
-                            sendCompressedMessage(nonAggregatedOptions, self.nonAggregatedBuffer.buffer, self.logger);
-                        } else {
-                            sendUncompressedMessage(nonAggregatedOptions, self.nonAggregatedBuffer.buffer, self.logger);
-                        }
-                    }
+        self.aggregatedBuffer.bufferSize = 0;
+        self.aggregatedBuffer.bufferBytes = 0;
+        self.nonAggregatedBuffer.buffer = '';
+        self.nonAggregatedBuffer.bufferSize = 0;
+        self.nonAggregatedBuffer.bufferBytes = 0;
+        self.bufferArrivals = [];
 
-                    if (self.aggregatedBuffer.bufferSize > 0) {
-                        for (var agg in self.aggregatedBuffer) {
-                            for (var aggFreq in self.aggregatedBuffer[agg]) {
-                                if (self.aggregatedBuffer[agg][aggFreq].buffer.length > 0) {
-                                    var aggregatedPath = self.basePath + '/aggregation/' + agg + '/frequency/' + aggFreq;
-                                    var aggregatedOptions = buildStatfulOptions(
-                                        self.protocol, self.host, self.port, aggregatedPath, self.token, self.timeout);
-
-                                    if (self.logger) {
-                                        self.logger.debug('Flushing to ' + aggregatedOptions.url + ' aggregated metrics');
-                                    }
-
-                                    if (self.compression) {
-                                        sendCompressedMessage(aggregatedOptions, self.aggregatedBuffer[agg][aggFreq].buffer, self.logger);
-                                    } else {
-                                        sendUncompressedMessage(aggregatedOptions, self.aggregatedBuffer[agg][aggFreq].buffer, self.logger);
-                                    }
-                                    self.aggregatedBuffer[agg][aggFreq].buffer = '';
-                                }
-                            }
-                        }
-                    }
-                    break;
-            }
-        }
+        // The stats go into the emptied buffer and must not flush it again, or every flush would trigger another one
+        if (self.systemStats && !self.closed) {
+            self.flushing = true;
 
-        if (self.systemStats) {
-            if (self.aggregatedBuffer.bufferSize > 0 && self.transport === 'api') {
-                self.put('buffer.flush_length', self.aggregatedBuffer.bufferSize, {agg: ['avg'], tags: {"buffer-type": 'aggregated'}});
+            if (aggregatedSize > 0 && supportsAggregatedMetrics(self)) {
+                self.put('buffer.flush_length', aggregatedSize, {agg: ['avg'], tags: {"buffer-type": 'aggregated'}});
             }
-            if (self.nonAggregatedBuffer.bufferSize > 0) {
-                self.put('buffer.flush_length', self.nonAggregatedBuffer.bufferSize, {agg: ['avg'], tags: {"buffer-type": 'non-aggregated'}});
+            if (nonAggregatedSize > 0) {
+                self.put('buffer.flush_length', nonAggregatedSize, {agg: ['avg'], tags: {"buffer-type": 'non-aggregated'}});
             }
+            if (self.droppedLines > 0) {
+                droppedLines = self.droppedLines;
+                self.droppedLines = 0;
+                self.put('buffer.dropped_lines', droppedLines, {agg: ['sum']});
+            }
+
+            self.flushing = false;
         }
+    } else if (!self.dryRun) {
+        self.destinations.forEach(replaySpool);
+    }
 
-        self.aggregatedBuffer.bufferSize = 0;
-        self.nonAggregatedBuffer.buffer = '';
-        self.nonAggregatedBuffer.bufferSize = 0;
+    onRequestFinished();
+}
+
+/**
+ * Makes room in the buffer for a new metric line, according to the configured overflow policy:
+ * flushing the buffer or dropping its oldest lines, whichever aggregation they have.
+ *
+ * @param self A self client instance.
+ * @param lineBytes The number of bytes of the new metric line.
+ *
+ * @returns {boolean} Returns true if the new metric line fits in the buffer.
+ */
+function makeRoomInBuffer(self, lineBytes) {
+    var dropped = 0,
+        arrival,
+        targetBuffer,
+        lineBuffer,
+        removed;
+
+    function overflows() {
+        return bufferHelper.wouldOverflow(self.bufferLimits,
+            self.aggregatedBuffer.bufferSize + self.nonAggregatedBuffer.bufferSize,
+            self.aggregatedBuffer.bufferBytes + self.nonAggregatedBuffer.bufferBytes, lineBytes);
+    }
+
+    if (!overflows()) {
+        return true;
+    }
+
+    if (self.bufferLimits.overflowPolicy === 'flush') {
+        if (!self.flushing) {
+            flush(self);
+        }
+    } else if (self.bufferLimits.overflowPolicy === 'dropOldest') {
+        while (overflows() && self.bufferArrivals.length > 0) {
+            arrival = self.bufferArrivals.shift();
+            targetBuffer = arrival ? self.aggregatedBuffer : self.nonAggregatedBuffer;
+            lineBuffer = arrival ? targetBuffer[arrival.agg][arrival.aggFreq] : targetBuffer;
+
+            removed = bufferHelper.removeOldestLine(lineBuffer.buffer);
+            lineBuffer.buffer = removed.buffer;
+            targetBuffer.bufferSize--;
+            targetBuffer.bufferBytes -= bufferHelper.getLineBytes(removed.line);
+            dropped++;
+        }
+
+        if (dropped > 0) {
+            self.droppedLines += dropped;
+            emitDropped(self, 'bufferOverflow', dropped);
+        }
     }
+
+    return !overflows();
 }
 
 /**
@@ -219,7 +488,17 @@ function flush(self) {
 function addToBuffer(self, metricLines, isMetricAggregated, agg, aggFreq) {
 
     if (typeof metricLines !== 'undefined') {
-        var targetBuffer = isMetricAggregated ? self.aggregatedBuffer : self.nonAggregatedBuffer;
+        var targetBuffer = isMetricAggregated ? self.aggregatedBuffer : self.nonAggregatedBuffer,
+            lineBytes = bufferHelper.getLineBytes(metricLines);
+
+        if (!makeRoomInBuffer(self, lineBytes)) {
+            if (self.logger) {
+                self.logger.warn('Metric was discarded due to a full buffer.');
+            }
+            self.droppedLines++;
+            emitDropped(self, 'bufferOverflow', 1);
+            return;
+        }
 
         if (isMetricAggregated) {
             if (targetBuffer[agg][aggFreq].buffer.length > 0) {
@@ -237,8 +516,14 @@ function addToBuffer(self, metricLines, isMetricAggregated, agg, aggFreq) {
             targetBuffer.bufferSize++;
         }
 
+        targetBuffer.bufferBytes += lineBytes;
+
+        // Remembers which buffer each line went into, so the oldest lines can be dropped first
+        if (self.bufferLimits.overflowPolicy === 'dropOldest') {
+            self.bufferArrivals.push(isMetricAggregated ? {agg: agg, aggFreq: aggFreq} : null);
+        }
 
-        if ( (self.aggregatedBuffer.bufferSize + self.nonAggregatedBuffer.bufferSize) >= self.flushSize) {
+        if (!self.flushing && (self.aggregatedBuffer.bufferSize + self.nonAggregatedBuffer.bufferSize) >= self.flushSize) {
             flush(self);
         }
     } else {
@@ -278,13 +563,21 @@ function putRaw(self, metric, value, parameters, isMetricAggregated) {
     var putTags = merge(self.app ? merge({app: self.app}, tags) : tags, self.tags);
 
     var metricName = putNamespace + '.' + metric,
-        flushLine = metricName,
+        flushLine,
+        sanitized,
         sampleRateNormalized = (sampleRate || 100) / 100;
 
     if ( (Math.random() <= sampleRateNormalized) || isMetricAggregated) {
-        flushLine = Object.keys(putTags).reduce(function (previousValue, tag) {
-            return previousValue + ',' + tag + '=' + putTags[tag];
-        }, flushLine);
+        sanitized = sanitizer.sanitizeMetric(metricName, putTags, self.sanitization, self.logger);
+
+        if (!sanitized) {
+            emitDropped(self, 'invalidArguments', 1, metricName);
+            return;
+        }
+
+        flushLine = Object.keys(sanitized.tags).reduce(function (previousValue, tag) {
+            return previousValue + ',' + tag + '=' + sanitized.tags[tag];
+        }, sanitized.name);
 
         flushLine += ' ' + value + ' ' + (timestamp || (Math.round(new Date().getTime() / 1000)));
 
@@ -306,10 +599,31 @@ function putRaw(self, metric, value, parameters, isMetricAggregated) {
         if (self.logger) {
             self.logger.warn('Metric was discarded due to sample rate.');
         }
+        emitDropped(self, 'sampleRate', 1, metricName);
     }
 
 }
 
+/**
+ * Puts the locally aggregated metrics into the aggregated buffer.
+ *
+ * @param self A self client instance.
+ * @param force Puts every aggregation window, including the ones still open.
+ */
+function putLocalAggregations(self, force) {
+    self.aggregator.collect(force).forEach(function (metric) {
+        Object.keys(metric.values).forEach(function (agg) {
+            putRaw(self, metric.name, configHelper.normalizeValue(metric.values[agg], self.valuePrecision, self.valueRounding), {
+                tags: metric.tags,
+                agg: [agg],
+                aggFreq: metric.aggFreq,
+                namespace: metric.namespace,
+                timestamp: metric.timestamp
+            }, true);
+        });
+    });
+}
+
 /**
  * Puts a metric into the buffer ready to be sent.
  *
@@ -328,16 +642,39 @@ function putMetric(self, metricTypeConf, name, value, aggregation, aggregationFr
         agg = !isMetricAggregated ? metricParams.agg : [aggregation],
         aggFreq = !isMetricAggregated ? metricParams.aggFreq : aggregationFreq,
         namespace = metricParams.namespace,
-        timestamp = metricParams.timestamp;
+        timestamp = metricParams.timestamp,
+        normalizedValue;
+
+    if (self.closed) {
+        if (self.logger) {
+            self.logger.warn('Metric not sent. The client is closed.');
+        }
+        emitDropped(self, 'closed', 1, name);
+        return;
+    }
+
+    normalizedValue = configHelper.normalizeValue(value, self.valuePrecision, self.valueRounding);
 
-    if (configHelper.areMetricTypesArgumentsValid(agg, aggFreq, tags, timestamp)) {
+    if (normalizedValue === undefined) {
+        if (self.logger) {
+            self.logger.warn('Metric not sent. The value ' + String(value) + ' is not a valid number.');
+        }
+        emitDropped(self, 'invalidArguments', 1, name);
+    } else if (configHelper.areMetricTypesArgumentsValid(agg, aggFreq, tags, timestamp)) {
         var putAgg = metricTypeConf ? configHelper.concatAggregations(metricTypeConf.agg, agg) : agg,
             putTags = metricTypeConf ? merge(tags, metricTypeConf.tags) : tags,
             putAggFreq = metricTypeConf ? (aggFreq || metricTypeConf.aggFreq) : aggFreq;
 
-        putRaw(self, name, value, {tags: putTags, agg: putAgg, aggFreq: putAggFreq, namespace: namespace, timestamp: timestamp}, isMetricAggregated);
-    } else if (self.logger) {
-        self.logger.warn('Metric not sent. Please review the following: aggregations, aggregation frequency, tags and timestamp.');
+        if (self.aggregator && metricTypeConf && !isMetricAggregated) {
+            self.aggregator.add(name, normalizedValue, {tags: putTags, agg: putAgg, aggFreq: putAggFreq, namespace: namespace, timestamp: timestamp});
+        } else {
+            putRaw(self, name, normalizedValue, {tags: putTags, agg: putAgg, aggFreq: putAggFreq, namespace: namespace, timestamp: timestamp}, isMetricAggregated);
+        }
+    } else {
+        if (self.logger) {
+            self.logger.warn('Metric not sent. Please review the following: aggregations, aggregation frequency, tags and timestamp.');
+        }
+        emitDropped(self, 'invalidArguments', 1, name);
     }
 }
 
@@ -370,102 +707,674 @@ function putNonAggregatedMetric(self, metricTypeConf, name, value, parameters) {
 }
 
 /**
- * The Client for Statful.
- *
- * @constructor Build a Statful client.
+ * Starts a high-resolution timer that is sent once it is stopped. The parameters are checked right away: if they are
+ * invalid, the timer is dropped and its handle never sends it.
  *
- * @param config Client configuration object.
- * @param logger A logger instance.
+ * @param self A self statful client.
+ * @param name Name of the timer. Ex: response_time.
+ * @param parameters An object with metric para meters: tags, agg, aggFreq, namespace and unit.
  *
- * @returns A Statful client.
+ * @returns {*} A timer handle with a stop method.
  */
-var Client = function (config, logger) {
-    var self = this;
-    this.logger = logger;
-
-    config = config || {};
+function startTimer(self, name, parameters) {
+    var timerParams = parameters || {},
+        unit = timerParams.unit || 'ms',
+        startTime = process.hrtime(),
+        stopped = false,
+        elapsed;
+
+    if (!timerHelper.isUnitValid(unit) ||
+        !configHelper.areMetricTypesArgumentsValid(timerParams.agg, timerParams.aggFreq, timerParams.tags)) {
+        if (self.logger) {
+            self.logger.warn('Timer not started. Please review the following: unit, aggregations, aggregation frequency and tags.');
+        }
+        emitDropped(self, 'invalidArguments', 1, 'timer.' + name);
 
-    this.transport = config.transport || 'udp';
-
-    switch (this.transport) {
-        case 'udp':
-            this.host = (config.udp && config.udp.host) || config.host || '127.0.0.1';
-            this.port = (config.udp && config.udp.port) || config.port || 2013;
-            this.socket = dgram.createSocket('udp4');
-            break;
-        case 'api':
-            if (!config.api || !config.api.token) {
-                throw 'Statful API Token not defined';
+        return {
+            stop: function () {
+                return undefined;
             }
-            this.host = config.api.host || 'api.statful.com';
-            this.port = config.api.port || 443;
-            this.protocol = 'https';
-            this.basePath = '/tel/v2.0/metrics';
-            this.timeout = config.api.timeout || 2000;
-            this.token = config.token || config.api.token;
-            break;
+        };
     }
 
-    this.app = config.app;
-    this.namespace = config.namespace || 'application';
-    this.dryRun = config.dryRun;
-    this.tags = config.tags || {};
-    this.systemStats = (config.systemStats !== undefined) ? config.systemStats : true;
-    this.sampleRate = config.sampleRate || 100;
-    this.flushInterval = config.flushInterval || 3000;
-    this.flushSize = config.flushSize || 1000;
-    this.compression = config.compression || false;
+    return {
+        stop: function (tags) {
+            var timerConf;
 
-    this.default = {};
-    this.default.timer = {
-        agg: ['avg', 'p90', 'count'],
-        tags: {unit: 'ms'}
-    };
-    this.default.counter = {
-        agg: ['sum', 'count']
-    };
-    this.default.gauge = {
-        agg: ['last']
-    };
+            if (stopped) {
+                return elapsed;
+            }
+            stopped = true;
 
-    configHelper.overrideMetricDefaultConfigs(this.default, config.default);
+            elapsed = timerHelper.getElapsedTime(startTime, unit);
+            timerConf = merge({}, self.default.timer, {tags: merge({}, self.default.timer.tags, {unit: unit})});
 
-    this.aggregatedBuffer = configHelper.createEmptyAggregatedBuffer();
+            putNonAggregatedMetric(self, timerConf, 'timer.' + name, elapsed, {
+                tags: merge({}, timerParams.tags, tags),
+                agg: timerParams.agg,
+                aggFreq: timerParams.aggFreq,
+                namespace: timerParams.namespace
+            });
 
-    this.nonAggregatedBuffer = {
-        buffer: '',
-        bufferSize: 0
+            return elapsed;
+        }
     };
+}
 
-    if (this.systemStats) {
-        blocked(function (ms) {
-            self.timer('event_loop', ms);
-        });
-    }
-
-    setInterval(function (obj) {
-        flush(obj);
-    }, config.flushInterval, this);
-
-};
+/**
+ * Gets the class of an error, used to tag failed operations.
+ *
+ * @param error The error thrown, rejected or passed to a callback.
+ *
+ * @returns {string} The name of the error constructor, like TypeError, or Error if it has none.
+ */
+function getErrorClass(error) {
+    return (error !== null && error !== undefined && error.constructor && error.constructor.name) || 'Error';
+}
 
 /**
- * Increments an aggregated counter
+ * Starts timing an operation, returning a function that records its outcome once: a timer with the elapsed time
+ * and a counter, both tagged with the outcome (success or error) and the error class, if it failed.
  *
- * @param name Name of the counter. Ex: transactions.
- * @param value Value of the counter to increment/decrement.
- * @param agg The aggregation with which metric was aggregated.
- * @param aggFreq The aggregation frequency with which metric was aggregated.
- * @param parameters An object with metric para meters: tags, agg, aggFreq, namespace and timestamp.
- *          - tags: Tags to associate this value with, for example {from: 'serviceA', to: 'serviceB', method: 'login'}. Default: {}.
- *          - agg: List of aggregations to be applied by Statful. Ex: ['avg', 'p90', 'min']. Default: ['avg', 'p90'].
- *          - aggFreq: Aggregation frequency in seconds. One of: 10, 30, 60 ,120, 180, 300. Default: 10.
- *          - namespace: Define the metric namespace. Default: application.
- *          - timestamp: Defines the metrics timestamp. Default: current timestamp.
+ * @param self A self statful client.
+ * @param name Name of the timer and the counter. Ex: service_call.
+ * @param parameters An object with metric para meters: tags, agg, aggFreq, namespace and unit.
+ *
+ * @returns {Function} A function that records the outcome, receiving the error of the operation, if it failed.
  */
-Client.prototype.aggregatedCounter = function (name, value, agg, aggFreq, parameters) {
-    putAggregatedMetric(this, this.default.counter, 'counter.' + name, value, agg, aggFreq, parameters);
-};
+function startOperation(self, name, parameters) {
+    var operationParams = parameters || {},
+        timer = startTimer(self, name, operationParams),
+        recorded = false;
+
+    return function (failed, error) {
+        var tags = failed ? {outcome: 'error', errorClass: getErrorClass(error)} : {outcome: 'success'};
+
+        if (recorded) {
+            return;
+        }
+        recorded = true;
+
+        timer.stop(tags);
+        self.counter(name, 1, {tags: merge({}, operationParams.tags, tags), namespace: operationParams.namespace});
+    };
+}
+
+/**
+ * Wraps a function so that each call is timed and counted by outcome. With the callback parameter, the last argument
+ * of each call, if it is a function, is taken as a node-style callback. Otherwise, calls are timed until they return,
+ * or until the promise they return settles.
+ *
+ * @param self A self statful client.
+ * @param name Name of the timer and the counter. Ex: service_call.
+ * @param fn The function to wrap.
+ * @param parameters An object with metric para meters: tags, agg, aggFreq, namespace, unit and callback.
+ *
+ * @returns {Function} The wrapped function, which returns whatever the original function returns.
+ */
+function wrapFunction(self, name, fn, parameters) {
+    var callbackStyle = !!(parameters && parameters.callback);
+
+    return function () {
+        var args = Array.prototype.slice.call(arguments),
+            callback = callbackStyle ? args[args.length - 1] : null,
+            record = startOperation(self, name, parameters),
+            result;
+
+        if (typeof callback === 'function') {
+            args[args.length - 1] = function (error) {
+                record(!!error, error);
+                return callback.apply(this, arguments);
+            };
+        }
+
+        try {
+            result = fn.apply(this, args);
+        } catch (error) {
+            record(true, error);
+            throw error;
+        }
+
+        if (result && typeof result.then === 'function') {
+            result.then(function () {
+                record(false);
+            }, function (error) {
+                record(true, error);
+            });
+        } else if (typeof callback !== 'function') {
+            record(false);
+        }
+
+        return result;
+    };
+}
+
+/**
+ * Puts the values sampled from an observable gauge through the gauge path.
+ *
+ * @param self A self statful client.
+ * @param gauge The observable gauge.
+ * @param values A value, or an array of values and/or objects with a value and its extra tags.
+ */
+function putGaugeValues(self, gauge, values) {
+    [].concat(values).forEach(function (sample) {
+        if (sample !== null && typeof sample === 'object') {
+            self.gauge(gauge.name, sample.value, merge({}, gauge.parameters, {tags: merge({}, gauge.parameters.tags, sample.tags)}));
+        } else {
+            self.gauge(gauge.name, sample, gauge.parameters);
+        }
+    });
+}
+
+/**
+ * Samples an observable gauge. Its callback can return the values, a promise of the values, or receive a
+ * node-style callback to be called with them. No value is put if the callback returns undefined or null.
+ *
+ * @param self A self statful client.
+ * @param gauge The observable gauge to sample.
+ */
+function sampleGauge(self, gauge) {
+    var result;
+
+    function onError(error) {
+        if (self.logger) {
+            self.logger.warn('Gauge ' + gauge.name + ' was not sampled: ' + error);
+        }
+    }
+
+    function onValues(values) {
+        // Asynchronous values can arrive after the gauge was unregistered or the client was closed
+        if (values !== undefined && values !== null && self.observableGauges[gauge.name] === gauge) {
+            putGaugeValues(self, gauge, values);
+        }
+    }
+
+    try {
+        if (gauge.callback.length > 0) {
+            gauge.callback(function (error, values) {
+                if (error) {
+                    onError(error);
+                } else {
+                    onValues(values);
+                }
+            });
+            return;
+        }
+
+        result = gauge.callback();
+    } catch (error) {
+        onError(error);
+        return;
+    }
+
+    if (result && typeof result.then === 'function') {
+        result.then(onValues, onError);
+    } else {
+        onValues(result);
+    }
+}
+
+/**
+ * Samples the observable gauges that are sampled on every flush cycle, the ones without their own interval.
+ *
+ * @param self A self statful client.
+ */
+function sampleGauges(self) {
+    Object.keys(self.observableGauges).forEach(function (name) {
+        var gauge = self.observableGauges[name];
+
+        if (!gauge.timer) {
+            sampleGauge(self, gauge);
+        }
+    });
+}
+
+/**
+ * Unregisters an observable gauge, stopping its interval, if any.
+ *
+ * @param self A self statful client.
+ * @param name Name of the gauge.
+ *
+ * @returns {boolean} Returns true if the gauge was registered.
+ */
+function unregisterGauge(self, name) {
+    var gauge = self.observableGauges[name];
+
+    if (!gauge) {
+        return false;
+    }
+
+    if (gauge.timer) {
+        clearInterval(gauge.timer);
+    }
+    delete self.observableGauges[name];
+
+    return true;
+}
+
+/**
+ * Puts the cardinalities of the sets tracked since the last flush cycle through the set path.
+ *
+ * @param self A self statful client.
+ */
+function putSetCardinalities(self) {
+    self.setTracker.collect().forEach(function (set) {
+        putNonAggregatedMetric(self, self.default.set, set.name, set.cardinality, {
+            tags: set.tags,
+            agg: set.agg,
+            aggFreq: set.aggFreq,
+            namespace: set.namespace
+        });
+    });
+}
+
+/**
+ * Puts the current rates of every meter as gauges named after the meters prefix, the meter name and the rate.
+ *
+ * @param self A self statful client.
+ */
+function putMeterRates(self) {
+    Object.keys(self.meters).forEach(function (key) {
+        var meter = self.meters[key],
+            rates = meter.meter.getRates();
+
+        Object.keys(rates).forEach(function (rate) {
+            putNonAggregatedMetric(self, self.default.gauge, self.metersConfig.prefix + '.' + meter.name + '.' + rate, rates[rate], {
+                tags: merge({}, meter.parameters.tags, self.metersConfig.tags),
+                agg: meter.parameters.agg,
+                aggFreq: meter.parameters.aggFreq,
+                namespace: meter.parameters.namespace
+            });
+        });
+    });
+}
+
+/**
+ * Waits for the in-flight flushes to finish.
+ *
+ * @param self A self statful client.
+ * @param timeout The maximum time to wait in milliseconds.
+ * @param callback A function called with an error if the flushes didn't finish in time.
+ */
+function waitForInFlightFlushes(self, timeout, callback) {
+    var timer;
+
+    if (self.inFlight === 0) {
+        callback(null);
+        return;
+    }
+
+    timer = setTimeout(function () {
+        self.onIdle = null;
+        callback(new Error('Timed out waiting for ' + self.inFlight + ' in-flight flush(es) to finish'));
+    }, timeout);
+
+    self.onIdle = function () {
+        clearTimeout(timer);
+        self.onIdle = null;
+        callback(null);
+    };
+}
+
+/**
+ * Removes the process hooks registered by the client.
+ *
+ * @param self A self statful client.
+ */
+function removeShutdownHooks(self) {
+    for (var event in self.shutdownHooks) {
+        if (self.shutdownHooks.hasOwnProperty(event)) {
+            process.removeListener(event, self.shutdownHooks[event]);
+        }
+    }
+
+    self.shutdownHooks = {};
+}
+
+/**
+ * Closes the client: stops accepting metrics, flushes the buffered ones, waits for the in-flight flushes
+ * up to the configured close timeout, stops the timers and closes the underlying socket.
+ *
+ * @param self A self statful client.
+ * @param callback A function called with an error if the in-flight flushes didn't finish in time.
+ */
+function closeClient(self, callback) {
+    if (self.closed) {
+        if (self.closeCallbacks) {
+            self.closeCallbacks.push(callback);
+        } else {
+            process.nextTick(callback);
+        }
+        return;
+    }
+
+    putSetCardinalities(self);
+    putMeterRates(self);
+
+    self.closed = true;
+    self.closeCallbacks = [callback];
+
+    removeShutdownHooks(self);
+    clearInterval(self.flushTimer);
+    Object.keys(self.observableGauges).forEach(function (name) {
+        unregisterGauge(self, name);
+    });
+    if (self.blockedMonitor) {
+        clearInterval(self.blockedMonitor);
+    }
+
+    if (self.aggregator) {
+        putLocalAggregations(self, true);
+    }
+    flush(self);
+
+    waitForInFlightFlushes(self, self.closeTimeout, function (error) {
+        var callbacks = self.closeCallbacks;
+
+        self.destinations.forEach(function (destination) {
+            destination.transport.close();
+        });
+
+        self.closeCallbacks = null;
+        self.emit('close', error);
+        callbacks.forEach(function (closeCallback) {
+            closeCallback(error);
+        });
+    });
+}
+
+/**
+ * Registers process hooks that close the client when the process is about to exit.
+ * Signals are raised again once the client is closed, unless someone else is also listening to them.
+ *
+ * @param self A self statful client.
+ * @param events An array with the events to hook: SIGTERM, SIGINT and/or beforeExit.
+ */
+function registerShutdownHooks(self, events) {
+    self.shutdownHooks = {};
+
+    events.forEach(function (event) {
+        self.shutdownHooks[event] = function () {
+            closeClient(self, function (error) {
+                if (error && self.logger) {
+                    self.logger.warn('Client closed on ' + event + ' with errors: ' + error.message);
+                }
+
+                if (event !== 'beforeExit' && process.listeners(event).length === 0) {
+                    process.kill(process.pid, event);
+                }
+            });
+        };
+
+        process.on(event, self.shutdownHooks[event]);
+    });
+}
+
+/**
+ * Runs an asynchronous operation, returning a promise if no callback was specified and promises are available.
+ *
+ * @param callback A function called with the operation error and result. Can be undefined.
+ * @param operation A function that runs the operation, receiving a node-style callback.
+ *
+ * @returns {Promise|undefined} A promise settled with the operation outcome, if no callback was specified.
+ */
+function callbackOrPromise(callback, operation) {
+    if (!callback && typeof Promise === 'function') {
+        return new Promise(function (resolve, reject) {
+            operation(function (error, result) {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            });
+        });
+    }
+
+    operation(callback || function () {});
+}
+
+/**
+ * Flushes the buffered metrics, including the closed local aggregation windows, once the observable gauges
+ * without their own interval are sampled and the cardinalities of the sets and the rates of the meters are put.
+ *
+ * @param self A self statful client.
+ * @param callback A function called with an error, if any request failed, and the delivery results.
+ */
+function flushClient(self, callback) {
+    sampleGauges(self);
+    putSetCardinalities(self);
+    putMeterRates(self);
+
+    if (self.aggregator) {
+        putLocalAggregations(self, false);
+    }
+    flush(self, callback);
+}
+
+/**
+ * Gets the spool configuration of a destination. Only destinations with the api transport have a spool.
+ *
+ * @param config The configuration of the destination.
+ *
+ * @returns {*} The spool configuration object, or null if the destination has no spool.
+ */
+function getSpoolConfig(config) {
+    return config.transport === 'api' && config.api && config.api.spool ? config.api.spool : null;
+}
+
+/**
+ * Builds a destination of the client: a transport, with the spool of its undeliverable metrics and its filter, if any.
+ *
+ * @param self A self statful client.
+ * @param config The configuration of the destination.
+ *
+ * @returns {*} A destination object.
+ */
+function buildDestination(self, config) {
+    var transport = transports.createTransport(config, self.logger),
+        spoolConfig;
+
+    if (transport instanceof EventEmitter) {
+        transport.on('retry', function (event) {
+            self.emit('retry', event);
+        });
+        transport.on('circuitBreaker', function (event) {
+            self.emit('circuitBreaker', event);
+            putTransportStat(self, 'circuit_breaker.state_changes', 1, {agg: ['sum'], tags: {transport: transport.name, state: event.state}});
+        });
+    }
+
+    spoolConfig = getSpoolConfig(config);
+
+    return {
+        transport: transport,
+        spool: spoolConfig ? new Spool(merge({}, spoolConfig, {replayInterval: config.flushInterval}), self.logger) : null,
+        filter: filterHelper.buildFilter(config.filter)
+    };
+}
+
+/**
+ * Builds the destinations of the client: one for each entry of the transports list, which inherits the client
+ * configuration, or a single one for the client configuration. Each spool must have its own path, or the destinations
+ * would replay each other's metrics.
+ *
+ * @param self A self statful client.
+ * @param config Client configuration object.
+ *
+ * @returns {Array} An array with the destinations.
+ */
+function buildDestinations(self, config) {
+    var destinationConfigs,
+        spoolPaths = {};
+
+    if (config.transports === undefined) {
+        return [buildDestination(self, config)];
+    }
+
+    if (!Array.isArray(config.transports) || config.transports.length === 0) {
+        throw 'Transports configuration is invalid, please read the documentation';
+    }
+
+    destinationConfigs = config.transports.map(function (destinationConfig) {
+        return merge({}, config, destinationConfig);
+    });
+
+    destinationConfigs.forEach(function (destinationConfig) {
+        var spoolConfig = getSpoolConfig(destinationConfig),
+            spoolPath = spoolConfig && spoolConfig.path && path.resolve(spoolConfig.path);
+
+        if (spoolPath) {
+            if (spoolPaths[spoolPath]) {
+                throw 'Spool path is shared by several destinations, please read the documentation';
+            }
+            spoolPaths[spoolPath] = true;
+        }
+    });
+
+    return destinationConfigs.map(function (destinationConfig) {
+        return buildDestination(self, destinationConfig);
+    });
+}
+
+/**
+ * The Client for Statful. It is an EventEmitter that emits the following events:
+ *          - flush: When buffered metrics are flushed, with the number of aggregated and non aggregated metrics.
+ *          - sent: When a flush request succeeds, with its delivery result.
+ *          - error: When a flush request fails, with the error and its delivery result.
+ *          - dropped: When metrics are dropped, with the reason, the number of metrics and the metric name, if any.
+ *          - retry: When a flush request is retried, with its url, status code, attempt and delay.
+ *          - circuitBreaker: When the circuit breaker of a transport changes state, with its url, state and failures.
+ *          - close: When the client is closed, with an error if the in-flight flushes didn't finish in time.
+ *
+ * @constructor Build a Statful client.
+ *
+ * @param config Client configuration object.
+ * @param logger A logger instance.
+ *
+ * @returns A Statful client.
+ */
+var Client = function (config, logger) {
+    var self = this;
+
+    EventEmitter.call(this);
+
+    this.logger = logger;
+
+    config = config || {};
+
+    this.destinations = buildDestinations(this, config);
+    this.transportInstance = this.destinations[0].transport;
+    this.transport = this.transportInstance.name || 'custom';
+    this.host = this.transportInstance.host;
+    this.port = this.transportInstance.port;
+
+    this.app = config.app;
+    this.namespace = config.namespace || 'application';
+    this.dryRun = config.dryRun;
+    this.tags = config.tags || {};
+    this.systemStats = (config.systemStats !== undefined) ? config.systemStats : true;
+    this.sampleRate = config.sampleRate || 100;
+    this.flushInterval = config.flushInterval || 3000;
+    this.flushSize = config.flushSize || 1000;
+    this.bufferLimits = bufferHelper.buildBufferConfig(config.buffer);
+    this.sanitization = sanitizer.buildSanitizationConfig(config.sanitization);
+
+    if (!configHelper.isValuePrecisionValid(config.valuePrecision, config.valueRounding)) {
+        throw 'Value precision configuration is invalid, please read the documentation';
+    }
+    this.valuePrecision = config.valuePrecision;
+    this.valueRounding = config.valueRounding;
+
+    this.default = {};
+    this.default.timer = {
+        agg: ['avg', 'p90', 'count'],
+        tags: {unit: 'ms'}
+    };
+    this.default.counter = {
+        agg: ['sum', 'count']
+    };
+    this.default.gauge = {
+        agg: ['last']
+    };
+    this.default.set = {
+        agg: ['last']
+    };
+
+    configHelper.overrideMetricDefaultConfigs(this.default, config.default);
+
+    if (config.localAggregation) {
+        if (!supportsAggregatedMetrics(this)) {
+            throw 'Local aggregation is only supported by transports that support aggregated metrics';
+        }
+        this.aggregator = new Aggregator();
+    }
+
+    this.aggregatedBuffer = configHelper.createEmptyAggregatedBuffer();
+
+    this.nonAggregatedBuffer = {
+        buffer: '',
+        bufferSize: 0,
+        bufferBytes: 0
+    };
+
+    this.droppedLines = 0;
+    this.bufferArrivals = [];
+
+    this.closeTimeout = config.closeTimeout || 5000;
+    this.closed = false;
+    this.inFlight = 0;
+    this.flushing = false;
+    this.observableGauges = {};
+    this.setTracker = new SetTracker(config.sets);
+    this.metersConfig = configHelper.buildMetersConfig(config.meters);
+    this.meters = {};
+
+    if (this.systemStats) {
+        this.blockedMonitor = blocked(function (ms) {
+            self.timer('event_loop', ms);
+        });
+    }
+
+    this.flushTimer = setInterval(function (obj) {
+        flushClient(obj);
+    }, this.flushInterval, this);
+
+    if (config.shutdownHooks) {
+        registerShutdownHooks(this, config.shutdownHooks === true ? ['SIGTERM', 'SIGINT', 'beforeExit'] : config.shutdownHooks);
+    }
+
+};
+
+util.inherits(Client, EventEmitter);
+
+/**
+ * The socket of the transport, if any. It is read from the transport, since the UDP socket is replaced whenever the
+ * host resolves to another address family.
+ */
+Object.defineProperty(Client.prototype, 'socket', {
+    get: function () {
+        return this.transportInstance.socket;
+    }
+});
+
+/**
+ * Increments an aggregated counter
+ *
+ * @param name Name of the counter. Ex: transactions.
+ * @param value Value of the counter to increment/decrement.
+ * @param agg The aggregation with which metric was aggregated.
+ * @param aggFreq The aggregation frequency with which metric was aggregated.
+ * @param parameters An object with metric para meters: tags, agg, aggFreq, namespace and timestamp.
+ *          - tags: Tags to associate this value with, for example {from: 'serviceA', to: 'serviceB', method: 'login'}. Default: {}.
+ *          - agg: List of aggregations to be applied by Statful. Ex: ['avg', 'p90', 'min']. Default: ['avg', 'p90'].
+ *          - aggFreq: Aggregation frequency in seconds. One of: 10, 30, 60 ,120, 180, 300. Default: 10.
+ *          - namespace: Define the metric namespace. Default: application.
+ *          - timestamp: Defines the metrics timestamp. Default: current timestamp.
+ */
+Client.prototype.aggregatedCounter = function (name, value, agg, aggFreq, parameters) {
+    putAggregatedMetric(this, this.default.counter, 'counter.' + name, value, agg, aggFreq, parameters);
+};
 
 /**
  * Adds an aggregated Gauge.
@@ -521,10 +1430,44 @@ Client.prototype.aggregatedTimer = function (name, value, agg, aggFreq, paramete
 };
 
 /**
- * Close the underlying socket and stop listening for data on it.
+ * Closes the client: stops accepting metrics, flushes the buffered ones, waits for the in-flight flushes
+ * up to the configured close timeout, stops the timers and closes the underlying socket.
+ *
+ * @param callback A function called with an error if the in-flight flushes didn't finish in time.
+ *          If omitted, a promise is returned instead.
+ * @returns {Promise|undefined} A promise resolved once the client is closed, if no callback was specified, with an
+ *          object holding the error if the in-flight flushes didn't finish in time, or null. It is never rejected,
+ *          so that closing without waiting for it doesn't end the process with an unhandled rejection.
  */
-Client.prototype.close = function () {
-    this.socket.close();
+Client.prototype.close = function (callback) {
+    var self = this;
+
+    return callbackOrPromise(callback, function (done) {
+        closeClient(self, function (error) {
+            if (callback) {
+                done(error);
+            } else {
+                done(null, {error: error || null});
+            }
+        });
+    });
+};
+
+/**
+ * Flushes the buffered metrics right away.
+ *
+ * @param callback A function called with an error, if any request failed, and the delivery results.
+ *          Each delivery result has the url, statusCode, lines, bytes, compressed and attempts of a request,
+ *          plus the error and whether the metrics were spooled, if it failed. The error also has the results.
+ *          If omitted, a promise is returned instead.
+ * @returns {Promise|undefined} A promise settled with the delivery results, if no callback was specified.
+ */
+Client.prototype.flush = function (callback) {
+    var self = this;
+
+    return callbackOrPromise(callback, function (done) {
+        flushClient(self, done);
+    });
 };
 
 /**
@@ -543,6 +1486,55 @@ Client.prototype.counter = function (name, value, parameters) {
     putNonAggregatedMetric(this, this.default.counter, 'counter.' + name, value, parameters);
 };
 
+/**
+ * Registers a gauge whose values are sampled from a callback on every flush cycle, or on its own interval.
+ * The callback can return the values, a promise of the values, or receive a node-style callback to be called with them.
+ * The values can be a number, or an array of numbers and/or objects with a value and its extra tags, for example
+ * [{value: 10, tags: {pool: 'read'}}, {value: 3, tags: {pool: 'write'}}]. A gauge registered with the name of another
+ * one replaces it.
+ *
+ * @param name Name of the Gauge. Ex: queue_depth.
+ * @param callback A function that samples the values.
+ * @param parameters An object with metric para meters: tags, agg, aggFreq, namespace and interval.
+ *          - tags: Tags to associate the values with, for example {queue: 'emails'}. Default: {}.
+ *          - agg: List of aggregations to be applied by Statful. Ex: ['avg', 'p90', 'min']. Default: ['last'].
+ *          - aggFreq: Aggregation frequency in seconds. One of: 10, 30, 60 ,120, 180, 300. Default: 10.
+ *          - namespace: Define the metric namespace. Default: application.
+ *          - interval: Sampling interval in milliseconds. Default: every flush cycle.
+ */
+Client.prototype.registerGauge = function (name, callback, parameters) {
+    var self = this,
+        gauge = {name: name, callback: callback, parameters: parameters || {}};
+
+    if (typeof callback !== 'function' ||
+        (gauge.parameters.interval !== undefined && !(typeof gauge.parameters.interval === 'number' && gauge.parameters.interval > 0))) {
+        if (this.logger) {
+            this.logger.warn('Gauge not registered. Please review the following: callback and interval.');
+        }
+        return;
+    }
+
+    unregisterGauge(this, name);
+
+    if (gauge.parameters.interval) {
+        gauge.timer = setInterval(function () {
+            sampleGauge(self, gauge);
+        }, gauge.parameters.interval);
+    }
+
+    this.observableGauges[name] = gauge;
+};
+
+/**
+ * Unregisters a gauge registered with registerGauge.
+ *
+ * @param name Name of the Gauge. Ex: queue_depth.
+ * @returns {boolean} Returns true if the gauge was registered
+ */
+Client.prototype.unregisterGauge = function (name) {
+    return unregisterGauge(this, name);
+};
+
 /**
  * Adds a Gauge.
  * @param name Name of the Gauge. Ex: current_sessions.
@@ -559,6 +1551,88 @@ Client.prototype.gauge = function (name, value, parameters) {
 };
 
 
+/**
+ * Adds a value to a Set, whose number of distinct values since the last flush cycle is sent on every flush cycle.
+ * Sets are counted exactly while they are small and estimated with a HyperLogLog sketch once they grow over
+ * the configured exact limit. Values are compared as strings.
+ *
+ * @param name Name of the Set. Ex: active_users.
+ * @param value Value to add to the set: a string or a number. Ex: a user id.
+ * @param parameters An object with metric para meters: tags, agg, aggFreq and namespace.
+ *          - tags: Tags to associate this value with, for example {from: 'serviceA', to: 'serviceB', method: 'login'}. Default: {}.
+ *          - agg: List of aggregations to be applied by Statful. Ex: ['avg', 'p90', 'min']. Default: ['last'].
+ *          - aggFreq: Aggregation frequency in seconds. One of: 10, 30, 60 ,120, 180, 300. Default: 10.
+ *          - namespace: Define the metric namespace. Default: application.
+ */
+Client.prototype.set = function (name, value, parameters) {
+    var setParams = parameters || {};
+
+    if (this.closed) {
+        if (this.logger) {
+            this.logger.warn('Metric not sent. The client is closed.');
+        }
+        emitDropped(this, 'closed', 1, 'set.' + name);
+        return;
+    }
+
+    if (!(typeof value === 'string' || (typeof value === 'number' && isFinite(value))) ||
+        !configHelper.areMetricTypesArgumentsValid(setParams.agg, setParams.aggFreq, setParams.tags)) {
+        if (this.logger) {
+            this.logger.warn('Metric not sent. Please review the following: value, aggregations, aggregation frequency and tags.');
+        }
+        emitDropped(this, 'invalidArguments', 1, 'set.' + name);
+        return;
+    }
+
+    this.setTracker.add('set.' + name, value, setParams);
+};
+
+/**
+ * Marks events on a Meter, which tracks their rate per second: the mean rate since the meter was created and the
+ * 1, 5 and 15 minutes exponentially weighted moving averages. The rates are sent as gauges on every flush cycle,
+ * named after the configured meters prefix, the meter name and the rate. Ex: meter.requests.m1_rate.
+ *
+ * @param name Name of the Meter. Ex: requests.
+ * @param count Number of events to mark. Default: 1.
+ * @param parameters An object with metric para meters: tags, agg, aggFreq and namespace.
+ *          - tags: Tags to associate the rates with, for example {from: 'serviceA', to: 'serviceB', method: 'login'}. Default: {}.
+ *          - agg: List of aggregations to be applied by Statful. Ex: ['avg', 'p90', 'min']. Default: ['last'].
+ *          - aggFreq: Aggregation frequency in seconds. One of: 10, 30, 60 ,120, 180, 300. Default: 10.
+ *          - namespace: Define the metric namespace. Default: application.
+ */
+Client.prototype.meter = function (name, count, parameters) {
+    var meterParams = parameters || {},
+        meterCount = count !== undefined ? count : 1,
+        key,
+        meter;
+
+    if (this.closed) {
+        if (this.logger) {
+            this.logger.warn('Metric not sent. The client is closed.');
+        }
+        emitDropped(this, 'closed', 1, this.metersConfig.prefix + '.' + name);
+        return;
+    }
+
+    if (!(typeof meterCount === 'number' && isFinite(meterCount) && meterCount >= 0) ||
+        !configHelper.areMetricTypesArgumentsValid(meterParams.agg, meterParams.aggFreq, meterParams.tags)) {
+        if (this.logger) {
+            this.logger.warn('Metric not sent. Please review the following: count, aggregations, aggregation frequency and tags.');
+        }
+        emitDropped(this, 'invalidArguments', 1, this.metersConfig.prefix + '.' + name);
+        return;
+    }
+
+    key = configHelper.buildSeriesKey(name, meterParams.namespace, meterParams.tags || {});
+    meter = this.meters[key];
+
+    if (!meter) {
+        meter = this.meters[key] = {name: name, parameters: meterParams, meter: new Meter()};
+    }
+
+    meter.meter.mark(meterCount);
+};
+
 /**
  * Adds a new custom Metric.
  *
@@ -591,4 +1665,62 @@ Client.prototype.timer = function (name, value, parameters) {
     putNonAggregatedMetric(this, this.default.timer, 'timer.' + name, value, parameters);
 };
 
+/**
+ * Starts a timer, measured with a high-resolution clock, that is sent once it is stopped.
+ *
+ * @param name Name of the timer. Ex: response_time.
+ * @param parameters An object with metric para meters: tags, agg, aggFreq, namespace and unit.
+ *          - tags: Tags to associate this value with, for example {from: 'serviceA', to: 'serviceB', method: 'login'}. Default: {}.
+ *          - agg: List of aggregations to be applied by Statful. Ex: ['avg', 'p90', 'min']. Default: ['avg', 'p90', 'count'].
+ *          - aggFreq: Aggregation frequency in seconds. One of: 10, 30, 60 ,120, 180, 300. Default: 10.
+ *          - namespace: Define the metric namespace. Default: application.
+ *          - unit: The unit of the elapsed time, also set as the unit tag. One of: ns, us, ms, s. Default: ms.
+ * @returns {*} A timer handle whose stop(tags) method sends the elapsed time, with the additional tags if any,
+ *          and returns it. Only the first call sends the timer. If the parameters are invalid, the timer is dropped
+ *          when it is started and stop returns undefined.
+ */
+Client.prototype.startTimer = function (name, parameters) {
+    return startTimer(this, name, parameters);
+};
+
+/**
+ * Wraps a function so that each call is timed and counted by outcome: a timer and a counter with the specified name,
+ * both tagged with outcome=success or outcome=error and, if it failed, the errorClass.
+ * Functions are timed until they return or throw, or until the promise they return settles. Functions that take a
+ * node-style callback as their last argument are timed until it is called, if the callback parameter is set.
+ *
+ * @param name Name of the timer and the counter. Ex: service_call.
+ * @param fn The function to wrap.
+ * @param parameters An object with metric para meters: tags, agg, aggFreq, namespace, unit and callback.
+ *          The agg, aggFreq and unit parameters only apply to the timer. See startTimer.
+ *          - callback: Defines if the last argument of each call is a node-style callback. Default: false.
+ * @returns {Function} The wrapped function, which keeps the this value and returns whatever the original returns.
+ */
+Client.prototype.wrap = function (name, fn, parameters) {
+    return wrapFunction(this, name, fn, parameters);
+};
+
+/**
+ * Times an asynchronous operation and counts it by outcome, like wrap does for each call of a wrapped function.
+ *
+ * @param name Name of the timer and the counter. Ex: service_call.
+ * @param operation A function that returns a promise, or a value, or the promise itself.
+ * @param parameters An object with metric para meters: tags, agg, aggFreq, namespace and unit.
+ *          The agg, aggFreq and unit parameters only apply to the timer. See startTimer.
+ * @returns {Promise} A promise settled with the outcome of the operation.
+ */
+Client.prototype.timeAsync = function (name, operation, parameters) {
+    var record = startOperation(this, name, parameters);
+
+    return new Promise(function (resolve) {
+        resolve(typeof operation === 'function' ? operation() : operation);
+    }).then(function (value) {
+        record(false);
+        return value;
+    }, function (error) {
+        record(true, error);
+        throw error;
+    });
+};
+
 module.exports = Client;
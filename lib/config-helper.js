@@ -4,11 +4,46 @@ var concat = require('unique-concat');
 
 var validAggregations = ['avg', 'sum', 'count', 'first', 'last', 'p90', 'p95', 'min', 'max'];
 var validAggregationFrequencies = [10, 30, 60, 120, 180, 300];
+var validRoundings = ['round', 'floor', 'ceil'];
+
+var MAX_SAFE_INTEGER = 9007199254740991;
+var MAX_UDP_PAYLOAD_SIZE = 65507;
+var NUMERIC_STRING = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
 
 function isInteger(number) {
     return Number(number) === number && number % 1 === 0;
 }
 
+/**
+ * Checks if the specified number is an integer greater than zero.
+ *
+ * @param number The number to check
+ * @returns {boolean} Returns true if the number is a positive integer
+ */
+function isPositiveInteger(number) {
+    return isInteger(number) && number > 0;
+}
+
+/**
+ * Checks if the specified number is an integer greater than or equal to zero.
+ *
+ * @param number The number to check
+ * @returns {boolean} Returns true if the number is a non negative integer
+ */
+function isNonNegativeInteger(number) {
+    return isInteger(number) && number >= 0;
+}
+
+/**
+ * Checks if the specified number is greater than zero.
+ *
+ * @param number The number to check
+ * @returns {boolean} Returns true if the number is positive
+ */
+function isPositiveNumber(number) {
+    return typeof number === 'number' && number > 0;
+}
+
 function isAggregationFrequencyInRange(frequency) {
     return isInteger(frequency) && (validAggregationFrequencies.indexOf(frequency) > -1);
 }
@@ -132,6 +167,7 @@ function overrideMetricDefaultConfigs(defaultConfig, overrideConfig) {
         overrideDefaultConfig(defaultConfig.timer, overrideConfig.timer);
         overrideDefaultConfig(defaultConfig.counter, overrideConfig.counter);
         overrideDefaultConfig(defaultConfig.gauge, overrideConfig.gauge);
+        overrideDefaultConfig(defaultConfig.set, overrideConfig.set);
     }
 }
 
@@ -154,9 +190,103 @@ function concatAggregations(left, right) {
     return aggregations;
 }
 
+/**
+ * Checks if the specified maximum UDP datagram size is valid: an integer up to the maximum UDP payload size.
+ *
+ * @param size The maximum datagram size in bytes
+ * @returns {boolean} Returns true if the maximum datagram size is valid
+ */
+function isMaxDatagramSizeValid(size) {
+    return isInteger(size) && size > 0 && size <= MAX_UDP_PAYLOAD_SIZE;
+}
+
+/**
+ * Checks if the specified value precision and rounding are valid.
+ *
+ * @param precision The number of decimal places of metric values
+ * @param rounding The rounding to apply: round, floor or ceil
+ * @returns {boolean} Returns true if the value precision and rounding are valid
+ */
+function isValuePrecisionValid(precision, rounding) {
+    return (typeof precision === 'undefined' || precision === null || (isInteger(precision) && precision >= 0 && precision <= 20)) &&
+        (typeof rounding === 'undefined' || rounding === null || validRoundings.indexOf(rounding) > -1);
+}
+
+/**
+ * Converts a metric value to a finite number, when that can be done safely. Booleans become 1 or 0,
+ * numeric strings and BigInts within the safe integer range are converted. The number is rounded to the
+ * specified precision, or to 15 significant digits to drop floating point noise such as 0.30000000000000004.
+ *
+ * @param value The metric value
+ * @param precision The number of decimal places to keep. Can be undefined to keep every decimal place.
+ * @param rounding The rounding to apply with a precision: round, floor or ceil. Default: round.
+ * @returns {number|undefined} The normalized value, or undefined if the value is not valid
+ */
+function normalizeValue(value, precision, rounding) {
+    var number,
+        factor;
+
+    if (typeof value === 'number') {
+        number = value;
+    } else if (typeof value === 'boolean') {
+        number = value ? 1 : 0;
+    } else if (typeof value === 'string' && NUMERIC_STRING.test(value.trim())) {
+        number = Number(value.trim());
+    } else if (Object.prototype.toString.call(value) === '[object BigInt]') {
+        number = Number(value);
+        number = Math.abs(number) <= MAX_SAFE_INTEGER ? number : undefined;
+    }
+
+    if (typeof number !== 'number' || !isFinite(number)) {
+        return undefined;
+    }
+
+    if (typeof precision === 'number') {
+        factor = Math.pow(10, precision);
+        number = Math[rounding || 'round'](number * factor) / factor;
+    }
+
+    return isInteger(number) ? number : parseFloat(number.toPrecision(15));
+}
+
+/**
+ * Builds a key that identifies a metric series by its namespace, name and tags, whatever the order of the tags.
+ *
+ * @param name The metric name
+ * @param namespace The metric namespace
+ * @param tags An object with the metric tags
+ * @returns {string} The series key
+ */
+function buildSeriesKey(name, namespace, tags) {
+    var tagsKey = Object.keys(tags).sort().map(function (tag) {
+        return tag + '=' + tags[tag];
+    }).join(',');
+
+    return [namespace, name, tagsKey].join('|');
+}
+
+/**
+ * Builds the configuration of the meters, validating the specified one.
+ *
+ * @param config The meters configuration: the prefix of the rate metrics and the tags added to them
+ * @returns {*} A meters configuration object with the prefix and tags
+ */
+function buildMetersConfig(config) {
+    var metersConfig = config || {},
+        prefix = metersConfig.prefix !== undefined ? metersConfig.prefix : 'meter',
+        tags = metersConfig.tags !== undefined ? metersConfig.tags : {};
+
+    if (typeof prefix !== 'string' || prefix.length === 0 || tags === null || !isTagsObjectValid(tags)) {
+        throw 'Meters configuration is invalid, please read the documentation';
+    }
+
+    return {prefix: prefix, tags: tags};
+}
+
 function createEmptyAggregatedBuffer () {
     var buffer = {
-        bufferSize: 0
+        bufferSize: 0,
+        bufferBytes: 0
     };
 
     for (var i=0; i<validAggregations.length; i++) {
@@ -176,4 +306,12 @@ exports.isMetricTypesConfigurationValid = isMetricTypesConfigurationValid;
 exports.areMetricTypesArgumentsValid = areMetricTypesArgumentsValid;
 exports.overrideMetricDefaultConfigs = overrideMetricDefaultConfigs;
 exports.concatAggregations = concatAggregations;
-exports.createEmptyAggregatedBuffer = createEmptyAggregatedBuffer;
\ No newline at end of file
+exports.createEmptyAggregatedBuffer = createEmptyAggregatedBuffer;
+exports.isMaxDatagramSizeValid = isMaxDatagramSizeValid;
+exports.isValuePrecisionValid = isValuePrecisionValid;
+exports.normalizeValue = normalizeValue;
+exports.buildMetersConfig = buildMetersConfig;
+exports.buildSeriesKey = buildSeriesKey;
+exports.isPositiveInteger = isPositiveInteger;
+exports.isNonNegativeInteger = isNonNegativeInteger;
+exports.isPositiveNumber = isPositiveNumber;
\ No newline at end of file
@@ -0,0 +1,75 @@
+'use strict';
+
+var METRIC_NAME = /^(?:[^\\ ,]|\\.)*/;
+
+function isPatternValid(pattern) {
+    return typeof pattern === 'string' || pattern instanceof RegExp;
+}
+
+function arePatternsValid(patterns) {
+    return patterns === undefined || (Array.isArray(patterns) && patterns.every(isPatternValid));
+}
+
+function matchesPattern(name, pattern) {
+    return typeof pattern === 'string' ? name.indexOf(pattern) === 0 : pattern.test(name);
+}
+
+function matchesAnyPattern(name, patterns) {
+    return patterns.some(function (pattern) {
+        return matchesPattern(name, pattern);
+    });
+}
+
+/**
+ * Builds the filter of a destination, which selects the metrics sent to it by their full name.
+ *
+ * @param filterConfig The filter configuration. Can be undefined to send every metric.
+ *          - include: Name prefixes or regular expressions of the metrics to send. Default: every metric.
+ *          - exclude: Name prefixes or regular expressions of the metrics not to send. Default: none.
+ *          - aggregated: Defines if aggregated metrics are sent. Default: true.
+ * @returns {*} A filter object, or null if every metric is sent
+ */
+function buildFilter(filterConfig) {
+    if (!filterConfig) {
+        return null;
+    }
+
+    if (typeof filterConfig !== 'object' || !arePatternsValid(filterConfig.include) ||
+        !arePatternsValid(filterConfig.exclude) ||
+        (filterConfig.aggregated !== undefined && typeof filterConfig.aggregated !== 'boolean')) {
+        throw 'Transport filter is invalid, please read the documentation';
+    }
+
+    return {
+        include: filterConfig.include || null,
+        exclude: filterConfig.exclude || [],
+        aggregated: filterConfig.aggregated !== false
+    };
+}
+
+/**
+ * Selects the metric lines of a buffer that pass a filter.
+ *
+ * @param buffer A string buffer with metric lines separated by line breaks.
+ * @param filter A filter object, or null to select every line.
+ * @param isAggregated A boolean state if the metrics of the buffer are aggregated.
+ * @returns {string} A string buffer with the selected lines, which is empty if no line was selected
+ */
+function filterLines(buffer, filter, isAggregated) {
+    if (!filter) {
+        return buffer;
+    }
+
+    if (isAggregated && !filter.aggregated) {
+        return '';
+    }
+
+    return buffer.split('\n').filter(function (line) {
+        var name = line.match(METRIC_NAME)[0];
+
+        return (!filter.include || matchesAnyPattern(name, filter.include)) && !matchesAnyPattern(name, filter.exclude);
+    }).join('\n');
+}
+
+exports.buildFilter = buildFilter;
+exports.filterLines = filterLines;
@@ -0,0 +1,111 @@
+'use strict';
+
+var HASH_SEED = 0x9747b28c,
+    TWO_TO_THE_32 = 4294967296;
+
+function multiply(a, b) {
+    return ((a & 0xffff) * b + ((((a >>> 16) * b) & 0xffff) << 16)) >>> 0;
+}
+
+function rotateLeft(x, bits) {
+    return ((x << bits) | (x >>> (32 - bits))) >>> 0;
+}
+
+function mixBlock(block) {
+    return multiply(rotateLeft(multiply(block, 0xcc9e2d51), 15), 0x1b873593);
+}
+
+/**
+ * Hashes a string with the 32 bit MurmurHash3, reading its UTF-16 code units two at a time.
+ *
+ * @param value The string to hash.
+ * @returns {number} An unsigned 32 bit hash
+ */
+function hash(value) {
+    var h = HASH_SEED,
+        length = value.length,
+        i;
+
+    for (i = 0; i + 1 < length; i += 2) {
+        h = (h ^ mixBlock((value.charCodeAt(i) | (value.charCodeAt(i + 1) << 16)) >>> 0)) >>> 0;
+        h = (multiply(rotateLeft(h, 13), 5) + 0xe6546b64) >>> 0;
+    }
+
+    if (i < length) {
+        h = (h ^ mixBlock(value.charCodeAt(i))) >>> 0;
+    }
+
+    h = (h ^ (length * 2)) >>> 0;
+    h = multiply((h ^ (h >>> 16)) >>> 0, 0x85ebca6b);
+    h = multiply((h ^ (h >>> 13)) >>> 0, 0xc2b2ae35);
+
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * A HyperLogLog sketch that estimates the number of distinct values added to it with a fixed amount of memory:
+ * one byte per register. The standard error of the estimate is about 1.04 / sqrt(2 ^ precision).
+ *
+ * @constructor Build a HyperLogLog sketch.
+ *
+ * @param precision The number of hash bits that select a register, between 4 and 16.
+ */
+var HyperLogLog = function (precision) {
+    this.precision = precision;
+    this.size = 1 << precision;
+    this.registers = new Uint8Array(this.size);
+};
+
+/**
+ * Adds a value to the sketch.
+ *
+ * @param value A string value.
+ */
+HyperLogLog.prototype.add = function (value) {
+    var h = hash(value),
+        index = h >>> (32 - this.precision),
+        remainingBits = 32 - this.precision,
+        w = (h << this.precision) >>> 0,
+        rank = 1;
+
+    while (rank <= remainingBits && (w & 0x80000000) === 0) {
+        rank++;
+        w = (w << 1) >>> 0;
+    }
+
+    if (rank > this.registers[index]) {
+        this.registers[index] = rank;
+    }
+};
+
+/**
+ * Estimates the number of distinct values added to the sketch, correcting the small and large range biases.
+ *
+ * @returns {number} The estimated cardinality
+ */
+HyperLogLog.prototype.count = function () {
+    var alpha = 0.7213 / (1 + 1.079 / this.size),
+        sum = 0,
+        zeros = 0,
+        estimate,
+        i;
+
+    for (i = 0; i < this.size; i++) {
+        sum += Math.pow(2, -this.registers[i]);
+        if (this.registers[i] === 0) {
+            zeros++;
+        }
+    }
+
+    estimate = alpha * this.size * this.size / sum;
+
+    if (estimate <= 2.5 * this.size && zeros > 0) {
+        estimate = this.size * Math.log(this.size / zeros);
+    } else if (estimate > TWO_TO_THE_32 / 30) {
+        estimate = -TWO_TO_THE_32 * Math.log(1 - estimate / TWO_TO_THE_32);
+    }
+
+    return Math.round(estimate);
+};
+
+module.exports = HyperLogLog;
@@ -0,0 +1,101 @@
+'use strict';
+
+var TICK_INTERVAL = 5000;
+
+/**
+ * Builds an exponentially weighted moving average of a rate per second, updated on every tick.
+ *
+ * @param minutes The time window of the average in minutes.
+ * @returns {*} An object with the alpha, the rate and the count not yet folded into it
+ */
+function buildMovingAverage(minutes) {
+    return {
+        alpha: 1 - Math.exp(-TICK_INTERVAL / 1000 / 60 / minutes),
+        rate: 0,
+        initialized: false,
+        uncounted: 0
+    };
+}
+
+function tickMovingAverage(average) {
+    var instantRate = average.uncounted / (TICK_INTERVAL / 1000);
+
+    average.uncounted = 0;
+
+    if (average.initialized) {
+        average.rate += average.alpha * (instantRate - average.rate);
+    } else {
+        average.rate = instantRate;
+        average.initialized = true;
+    }
+}
+
+/**
+ * Tracks the rate of events per second: the mean rate since the meter was created and the 1, 5 and 15 minutes
+ * exponentially weighted moving averages, which are updated every 5 seconds.
+ *
+ * @constructor Build a meter.
+ */
+var Meter = function () {
+    this.startTime = Date.now();
+    this.lastTick = this.startTime;
+    this.count = 0;
+    this.averages = {
+        m1_rate: buildMovingAverage(1),
+        m5_rate: buildMovingAverage(5),
+        m15_rate: buildMovingAverage(15)
+    };
+};
+
+/**
+ * Updates the moving averages once for every tick interval elapsed since the last update.
+ */
+Meter.prototype.tickIfNecessary = function () {
+    var ticks = Math.floor((Date.now() - this.lastTick) / TICK_INTERVAL),
+        averages = this.averages;
+
+    this.lastTick += ticks * TICK_INTERVAL;
+
+    Object.keys(averages).forEach(function (rate) {
+        for (var i = 0; i < ticks; i++) {
+            tickMovingAverage(averages[rate]);
+        }
+    });
+};
+
+/**
+ * Marks the occurrence of a number of events.
+ *
+ * @param count The number of events.
+ */
+Meter.prototype.mark = function (count) {
+    var averages = this.averages;
+
+    this.tickIfNecessary();
+    this.count += count;
+
+    Object.keys(averages).forEach(function (rate) {
+        averages[rate].uncounted += count;
+    });
+};
+
+/**
+ * Gets the rates of events per second.
+ *
+ * @returns {*} An object with the mean_rate, m1_rate, m5_rate and m15_rate
+ */
+Meter.prototype.getRates = function () {
+    var elapsed = (Date.now() - this.startTime) / 1000,
+        averages = this.averages,
+        rates = {mean_rate: elapsed > 0 ? this.count / elapsed : 0};
+
+    this.tickIfNecessary();
+
+    Object.keys(averages).forEach(function (rate) {
+        rates[rate] = averages[rate].rate;
+    });
+
+    return rates;
+};
+
+module.exports = Meter;
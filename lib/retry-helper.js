@@ -0,0 +1,88 @@
+'use strict';
+
+var configHelper = require('./config-helper');
+
+var defaultRetryConfig = {
+    maxAttempts: 3,
+    initialDelay: 1000,
+    maxDelay: 30000,
+    multiplier: 2,
+    jitter: 0.2,
+    maxAge: 60000
+};
+
+/**
+ * Builds the retry configuration, filling the missing options with the defaults.
+ *
+ * @param retryConfig The retry configuration. Can be true to use the defaults or undefined to disable retries.
+ * @returns {*} A retry configuration object
+ */
+function buildRetryConfig(retryConfig) {
+    var config = {},
+        option;
+
+    if (!retryConfig) {
+        return {maxAttempts: 1};
+    }
+
+    retryConfig = typeof retryConfig === 'object' ? retryConfig : {};
+
+    for (option in defaultRetryConfig) {
+        if (defaultRetryConfig.hasOwnProperty(option)) {
+            config[option] = retryConfig[option] !== undefined ? retryConfig[option] : defaultRetryConfig[option];
+        }
+    }
+
+    if (!configHelper.isPositiveNumber(config.maxAttempts) || !configHelper.isPositiveNumber(config.initialDelay) ||
+        !configHelper.isPositiveNumber(config.maxDelay) || !configHelper.isPositiveNumber(config.maxAge) ||
+        typeof config.multiplier !== 'number' || config.multiplier < 1 ||
+        typeof config.jitter !== 'number' || config.jitter < 0 || config.jitter > 1) {
+        throw 'Retry configuration is invalid, please read the documentation';
+    }
+
+    return config;
+}
+
+/**
+ * Computes the delay before the next attempt using exponential backoff with jitter.
+ *
+ * @param retryConfig The retry configuration
+ * @param attempt The number of the attempt that failed, starting at 1
+ * @returns {number} The delay in milliseconds
+ */
+function getRetryDelay(retryConfig, attempt) {
+    var delay = Math.min(retryConfig.initialDelay * Math.pow(retryConfig.multiplier, attempt - 1), retryConfig.maxDelay),
+        variation = delay * retryConfig.jitter * (Math.random() * 2 - 1);
+
+    return Math.max(0, Math.round(delay + variation));
+}
+
+/**
+ * Checks if a request outcome is worth retrying: network errors, throttling and server errors.
+ *
+ * @param error The request error, if any
+ * @param response The request response, if any
+ * @returns {boolean} Returns true if the request can be retried
+ */
+function isRetryableFailure(error, response) {
+    return !!error || !response || response.statusCode === 429 || response.statusCode >= 500;
+}
+
+/**
+ * Checks if another attempt should be made for a failed request.
+ *
+ * @param retryConfig The retry configuration
+ * @param attempt The number of the attempt that failed, starting at 1
+ * @param firstAttemptTime The time of the first attempt in milliseconds
+ * @param delay The delay before the next attempt in milliseconds
+ * @returns {boolean} Returns true if the request should be retried
+ */
+function shouldRetry(retryConfig, attempt, firstAttemptTime, delay) {
+    return attempt < retryConfig.maxAttempts &&
+        (Date.now() + delay - firstAttemptTime) <= retryConfig.maxAge;
+}
+
+exports.buildRetryConfig = buildRetryConfig;
+exports.getRetryDelay = getRetryDelay;
+exports.isRetryableFailure = isRetryableFailure;
+exports.shouldRetry = shouldRetry;
@@ -0,0 +1,153 @@
+'use strict';
+
+var configHelper = require('./config-helper');
+
+var validPolicies = ['escape', 'replace', 'reject'];
+
+var defaultSanitizationConfig = {
+    policy: 'escape',
+    replacement: '_',
+    maxNameLength: 255,
+    maxTagKeyLength: 255,
+    maxTagValueLength: 255
+};
+
+var CONTROL_CHARACTERS = /[\x00-\x1f\x7f]/g;
+
+/**
+ * The characters with a special meaning in the line protocol for each kind of token, including the backslash that
+ * escapes them, along with the option holding its maximum length.
+ */
+var tokenKinds = {
+    name: {
+        specialCharacters: /[\\ ,]/g,
+        maxLengthOption: 'maxNameLength',
+        description: 'Metric name'
+    },
+    tagKey: {
+        specialCharacters: /[\\ ,=]/g,
+        maxLengthOption: 'maxTagKeyLength',
+        description: 'Tag key'
+    },
+    tagValue: {
+        specialCharacters: /[\\ ,=]/g,
+        maxLengthOption: 'maxTagValueLength',
+        description: 'Tag value'
+    }
+};
+
+function hasMatch(pattern, string) {
+    return string.search(pattern) > -1;
+}
+
+/**
+ * Builds the sanitization configuration, filling the missing options with the defaults.
+ *
+ * @param sanitizationConfig The sanitization configuration. Can be undefined to use the defaults.
+ * @returns {*} A sanitization configuration object
+ */
+function buildSanitizationConfig(sanitizationConfig) {
+    var config = {},
+        option;
+
+    sanitizationConfig = sanitizationConfig || {};
+
+    for (option in defaultSanitizationConfig) {
+        if (defaultSanitizationConfig.hasOwnProperty(option)) {
+            config[option] = sanitizationConfig[option] !== undefined ? sanitizationConfig[option] : defaultSanitizationConfig[option];
+        }
+    }
+
+    if (validPolicies.indexOf(config.policy) === -1 || typeof config.replacement !== 'string' ||
+        hasMatch(tokenKinds.tagValue.specialCharacters, config.replacement) ||
+        hasMatch(CONTROL_CHARACTERS, config.replacement) ||
+        !configHelper.isPositiveInteger(config.maxNameLength) || !configHelper.isPositiveInteger(config.maxTagKeyLength) ||
+        !configHelper.isPositiveInteger(config.maxTagValueLength)) {
+        throw 'Sanitization configuration is invalid, please read the documentation';
+    }
+
+    return config;
+}
+
+/**
+ * Sanitizes a token of the line protocol according to the configured policy.
+ *
+ * @param token The token to sanitize.
+ * @param kind The kind of token: name, tagKey or tagValue.
+ * @param config The sanitization configuration.
+ * @returns {string|null} The sanitized token, or null if the token is invalid and the policy is reject
+ */
+function sanitizeToken(token, kind, config) {
+    var tokenKind = tokenKinds[kind],
+        maxLength = config[tokenKind.maxLengthOption],
+        sanitized = String(token);
+
+    if (config.policy === 'reject') {
+        return hasMatch(tokenKind.specialCharacters, sanitized) || hasMatch(CONTROL_CHARACTERS, sanitized) ||
+            sanitized.length > maxLength ? null : sanitized;
+    }
+
+    sanitized = sanitized.replace(CONTROL_CHARACTERS, config.replacement);
+
+    if (config.policy === 'escape') {
+        sanitized = sanitized.replace(tokenKind.specialCharacters, '\\$&');
+    } else {
+        sanitized = sanitized.replace(tokenKind.specialCharacters, config.replacement);
+    }
+
+    if (sanitized.length > maxLength) {
+        sanitized = sanitized.substr(0, maxLength);
+
+        // An odd number of trailing backslashes ends with an escape that lost the character it escaped
+        if (/(^|[^\\])(\\\\)*\\$/.test(sanitized)) {
+            sanitized = sanitized.slice(0, -1);
+        }
+    }
+
+    return sanitized;
+}
+
+/**
+ * Sanitizes a metric name and its tags, warning through the logger about every change.
+ *
+ * @param name The full metric name, including the namespace.
+ * @param tags An object with the metric tags.
+ * @param config The sanitization configuration.
+ * @param logger A logger instance.
+ * @returns {*} An object with the sanitized name and tags, or null if the metric must be discarded
+ */
+function sanitizeMetric(name, tags, config, logger) {
+    var sanitized = {tags: {}},
+        invalid = false;
+
+    function sanitize(token, kind) {
+        var sanitizedToken = sanitizeToken(token, kind, config);
+
+        if (sanitizedToken === null) {
+            invalid = true;
+        } else if (sanitizedToken !== String(token) && logger) {
+            logger.warn(tokenKinds[kind].description + ' "' + token + '" was sanitized to "' + sanitizedToken + '"');
+        }
+
+        return sanitizedToken;
+    }
+
+    sanitized.name = sanitize(name, 'name');
+
+    Object.keys(tags || {}).forEach(function (tag) {
+        sanitized.tags[sanitize(tag, 'tagKey')] = sanitize(tags[tag], 'tagValue');
+    });
+
+    if (invalid) {
+        if (logger) {
+            logger.warn('Metric "' + name + '" was discarded due to an invalid name or tags.');
+        }
+        return null;
+    }
+
+    return sanitized;
+}
+
+exports.buildSanitizationConfig = buildSanitizationConfig;
+exports.sanitizeToken = sanitizeToken;
+exports.sanitizeMetric = sanitizeMetric;
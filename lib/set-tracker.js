@@ -0,0 +1,103 @@
+'use strict';
+
+var configHelper = require('./config-helper'),
+    HyperLogLog = require('./hyperloglog');
+
+var defaultSetsConfig = {
+    exactLimit: 1000,
+    precision: 14
+};
+
+/**
+ * Tracks the distinct values of sets, per set name and tag set, until they are collected. Each set counts its values
+ * exactly while it holds up to the exact limit of them, and is then converted to a HyperLogLog sketch, so the memory
+ * used per set is bounded either way. Values are compared as strings.
+ *
+ * @constructor Build a set tracker.
+ *
+ * @param config Sets configuration object.
+ *          - exactLimit: The number of distinct values counted exactly before a set is converted to a sketch. Default: 1000.
+ *          - precision: The precision of the sketches, between 4 and 16. They use 2 ^ precision bytes. Default: 14.
+ */
+var SetTracker = function (config) {
+    config = config || {};
+
+    this.exactLimit = config.exactLimit !== undefined ? config.exactLimit : defaultSetsConfig.exactLimit;
+    this.precision = config.precision !== undefined ? config.precision : defaultSetsConfig.precision;
+
+    if (!configHelper.isNonNegativeInteger(this.exactLimit) || !configHelper.isNonNegativeInteger(this.precision) ||
+        this.precision < 4 || this.precision > 16) {
+        throw 'Sets configuration is invalid, please read the documentation';
+    }
+
+    this.sets = {};
+};
+
+/**
+ * Adds a value to a set. The parameters of the first value added to a set since it was last collected are kept.
+ *
+ * @param name A set name.
+ * @param value A string or number value.
+ * @param parameters An object with metric parameters: tags, agg, aggFreq and namespace.
+ */
+SetTracker.prototype.add = function (name, value, parameters) {
+    var tags = parameters.tags || {},
+        key = configHelper.buildSeriesKey(name, parameters.namespace, tags),
+        set = this.sets[key],
+        stringValue = String(value);
+
+    if (!set) {
+        set = this.sets[key] = {
+            name: name,
+            namespace: parameters.namespace,
+            tags: tags,
+            agg: parameters.agg,
+            aggFreq: parameters.aggFreq,
+            values: Object.create(null),
+            size: 0,
+            sketch: null
+        };
+    }
+
+    if (set.sketch) {
+        set.sketch.add(stringValue);
+    } else if (!set.values[stringValue]) {
+        set.values[stringValue] = true;
+        set.size++;
+
+        if (set.size > this.exactLimit) {
+            set.sketch = new HyperLogLog(this.precision);
+            Object.keys(set.values).forEach(function (setValue) {
+                set.sketch.add(setValue);
+            });
+            set.values = null;
+        }
+    }
+};
+
+/**
+ * Removes every set and returns their cardinalities.
+ *
+ * @returns {Array} An array of sets with name, namespace, tags, agg, aggFreq, cardinality and whether it is approximate
+ */
+SetTracker.prototype.collect = function () {
+    var sets = this.sets;
+
+    this.sets = {};
+
+    return Object.keys(sets).map(function (key) {
+        var set = sets[key];
+
+        return {
+            name: set.name,
+            namespace: set.namespace,
+            tags: set.tags,
+            agg: set.agg,
+            aggFreq: set.aggFreq,
+            cardinality: set.sketch ? set.sketch.count() : set.size,
+            approximate: !!set.sketch
+        };
+    });
+};
+
+module.exports = SetTracker;
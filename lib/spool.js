@@ -0,0 +1,180 @@
+'use strict';
+
+var fs = require('fs'),
+    path = require('path'),
+    retryHelper = require('./retry-helper');
+
+var SPOOL_FILE_EXTENSION = '.spool';
+
+var replayBackoff = retryHelper.buildRetryConfig(true);
+
+function pad(number, length) {
+    var padded = String(number);
+
+    while (padded.length < length) {
+        padded = '0' + padded;
+    }
+
+    return padded;
+}
+
+function isSpoolFile(fileName) {
+    return path.extname(fileName) === SPOOL_FILE_EXTENSION;
+}
+
+/**
+ * A bounded directory on local disk holding the messages that could not be delivered.
+ * Each message is stored in its own file, named after the time it was spooled so that they can be replayed in order.
+ *
+ * @constructor Build a spool.
+ *
+ * @param config Spool configuration object.
+ *          - path: The directory where the messages are stored.
+ *          - maxSize: The maximum size of the spool in bytes. The oldest messages are discarded first. Default: 10MB.
+ *          - replayInterval: The minimum time between replays in milliseconds. Default: 3000.
+ * @param logger A logger instance.
+ */
+var Spool = function (config, logger) {
+    if (!config.path) {
+        throw 'Spool path not defined';
+    }
+
+    this.logger = logger;
+    this.path = config.path;
+    this.maxSize = config.maxSize || 10 * 1024 * 1024;
+    this.replayInterval = config.replayInterval || 3000;
+    this.sequence = 0;
+    this.replaying = false;
+    this.failedReplays = 0;
+    this.nextReplayTime = 0;
+
+    if (!fs.existsSync(this.path)) {
+        fs.mkdirSync(this.path);
+    }
+
+    this.files = fs.readdirSync(this.path).filter(isSpoolFile).sort();
+};
+
+/**
+ * Checks if there are messages waiting in the spool.
+ *
+ * @returns {boolean} Returns true if the spool has no messages
+ */
+Spool.prototype.isEmpty = function () {
+    return this.files.length === 0;
+};
+
+/**
+ * Writes a message to the spool, discarding the oldest messages if the spool exceeds its maximum size.
+ *
+ * @param entry The message to spool along with its routing: message, agg and aggFreq.
+ */
+Spool.prototype.write = function (entry) {
+    var fileName = pad(Date.now(), 15) + '-' + pad(process.pid, 7) + '-' + pad(this.sequence++, 9) + SPOOL_FILE_EXTENSION;
+
+    try {
+        fs.writeFileSync(path.join(this.path, fileName), JSON.stringify(entry));
+        this.files.push(fileName);
+        this.enforceMaxSize();
+    } catch (error) {
+        if (this.logger) {
+            this.logger.error('Unable to spool metrics: ' + error);
+        }
+    }
+};
+
+/**
+ * Discards the oldest messages until the spool is within its maximum size.
+ */
+Spool.prototype.enforceMaxSize = function () {
+    var self = this,
+        sizes = this.files.map(function (fileName) {
+            return fs.statSync(path.join(self.path, fileName)).size;
+        }),
+        totalSize = sizes.reduce(function (total, size) {
+            return total + size;
+        }, 0);
+
+    while (totalSize > this.maxSize && this.files.length > 0) {
+        totalSize -= sizes.shift();
+        this.remove(this.files[0]);
+
+        if (this.logger) {
+            this.logger.warn('Spool is full, discarding the oldest spooled metrics');
+        }
+    }
+};
+
+/**
+ * Removes a message file from the spool.
+ *
+ * @param fileName The name of the file to remove.
+ */
+Spool.prototype.remove = function (fileName) {
+    var index = this.files.indexOf(fileName);
+
+    if (index > -1) {
+        this.files.splice(index, 1);
+    }
+
+    try {
+        fs.unlinkSync(path.join(this.path, fileName));
+    } catch (error) {
+        if (this.logger) {
+            this.logger.error('Unable to remove spooled metrics: ' + error);
+        }
+    }
+};
+
+/**
+ * Replays the spooled messages in order. Each message is removed once delivered and the replay stops on the first failure.
+ * A replay starts at most once per replay interval, and later after failed replays, with an exponential backoff.
+ *
+ * @param send A function called with each spooled entry and a callback to call with an error if the delivery failed.
+ */
+Spool.prototype.replay = function (send) {
+    var self = this;
+
+    function replayNext() {
+        var fileName = self.files[0],
+            entry;
+
+        if (!fileName) {
+            self.replaying = false;
+            self.failedReplays = 0;
+            return;
+        }
+
+        try {
+            entry = JSON.parse(fs.readFileSync(path.join(self.path, fileName), 'utf8'));
+        } catch (error) {
+            if (self.logger) {
+                self.logger.error('Unable to read spooled metrics: ' + error);
+            }
+            self.remove(fileName);
+            replayNext();
+            return;
+        }
+
+        send(entry, function (error) {
+            if (error) {
+                self.replaying = false;
+                self.failedReplays++;
+                self.nextReplayTime = Date.now() +
+                    Math.max(self.replayInterval, retryHelper.getRetryDelay(replayBackoff, self.failedReplays));
+                return;
+            }
+
+            self.remove(fileName);
+            replayNext();
+        });
+    }
+
+    if (!this.replaying && Date.now() >= this.nextReplayTime) {
+        this.replaying = true;
+        this.nextReplayTime = Date.now() + this.replayInterval;
+        replayNext();
+    }
+};
+
+module.exports = Spool;
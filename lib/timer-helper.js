@@ -0,0 +1,34 @@
+'use strict';
+
+var NANOSECONDS_PER_UNIT = {
+    ns: 1,
+    us: 1e3,
+    ms: 1e6,
+    s: 1e9
+};
+
+/**
+ * Checks if the specified unit is a valid timer unit: ns, us, ms or s.
+ *
+ * @param unit The unit to check.
+ * @returns {boolean} Returns true if the unit is valid
+ */
+function isUnitValid(unit) {
+    return NANOSECONDS_PER_UNIT.hasOwnProperty(unit);
+}
+
+/**
+ * Gets the time elapsed since a high-resolution start time.
+ *
+ * @param startTime A start time returned by process.hrtime.
+ * @param unit The unit of the elapsed time: ns, us, ms or s.
+ * @returns {number} The elapsed time in the specified unit
+ */
+function getElapsedTime(startTime, unit) {
+    var elapsed = process.hrtime(startTime);
+
+    return (elapsed[0] * 1e9 + elapsed[1]) / NANOSECONDS_PER_UNIT[unit];
+}
+
+exports.isUnitValid = isUnitValid;
+exports.getElapsedTime = getElapsedTime;
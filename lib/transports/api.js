@@ -0,0 +1,556 @@
+'use strict';
+
+var util = require('util'),
+    EventEmitter = require('events').EventEmitter,
+    request = require('request'),
+    merge = require('merge'),
+    zlib = require('zlib'),
+    configHelper = require('../config-helper'),
+    retryHelper = require('../retry-helper'),
+    CircuitBreaker = require('./circuit-breaker');
+
+var defaultPorts = {
+    http: 80,
+    https: 443
+};
+
+var codecs = {
+    gzip: zlib.gzip,
+    deflate: zlib.deflate,
+    br: zlib.brotliCompress
+};
+
+/**
+ * Builds the connection options shared by every request of the transport: its own agent pool, so keep-alive
+ * connections are reused between flushes, the proxy and the TLS options.
+ *
+ * @param apiConfig The API configuration.
+ *
+ * @returns {*} The connection options to merge into the options of each request.
+ */
+function buildConnectionOptions(apiConfig) {
+    var tls = apiConfig.tls || {},
+        options;
+
+    if ((apiConfig.proxy !== undefined && typeof apiConfig.proxy !== 'string') ||
+        (apiConfig.keepAlive !== undefined && typeof apiConfig.keepAlive !== 'boolean') ||
+        typeof tls !== 'object') {
+        throw 'API connection configuration is invalid, please read the documentation';
+    }
+
+    // The TLS options are set on the request, which uses them to tunnel through proxies, and on its agent, which
+    // also takes the ones unknown to the request, like minVersion and maxVersion
+    options = merge({
+        pool: {},
+        agentOptions: merge({keepAlive: !!apiConfig.keepAlive}, tls)
+    }, tls);
+
+    // Without a proxy, the request still honours the HTTP_PROXY, HTTPS_PROXY and NO_PROXY environment variables
+    if (apiConfig.proxy) {
+        options.proxy = apiConfig.proxy;
+    }
+
+    return options;
+}
+
+/**
+ * Builds a default options object to use for remote HTTP requests.
+ *
+ * @param protocol The protocol to use.
+ * @param host The host to send.
+ * @param port The port on the host.
+ * @param path The path to send.
+ * @param token A Statful token object for authentication.
+ * @param timeout A request timeout.
+ * @param connectionOptions The connection options of the transport: agent pool, proxy and TLS options.
+ *
+ * @returns {*} An options object.
+ */
+function buildStatfulOptions(protocol, host, port, path, token, timeout, connectionOptions) {
+    return merge({
+        url: protocol + '://' + host + ':' + port + path,
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'statful-client-nodejs ',
+            'M-Api-Token': token
+        },
+        timeout: timeout
+    }, connectionOptions);
+}
+
+/**
+ * Execute the request using the specified options.
+ *
+ * @param options The options to use in the request.
+ * @param logger A logger instance.
+ * @param callback A function called with the request error and response.
+ *
+ * @returns {*|exports}
+ */
+function performRequest(options, logger, callback) {
+    return request(options, function (error, response) {
+        if (logger) {
+            if (error) {
+                logger.error('An error occurred: ' + error);
+            }
+
+            if (response && response.statusCode !== 201) {
+                logger.error('Unexpected status: ' + response.statusCode);
+            }
+        }
+
+        callback(error, response);
+    });
+}
+
+/**
+ * Sends the specified message using the compression codec of its Content-Encoding header.
+ *
+ * @param options The options to use in the request.
+ * @param message The message to send in the request.
+ * @param logger A logger instance.
+ * @param callback A function called with the request error and response.
+ */
+function sendCompressedMessage(options, message, logger, callback) {
+    codecs[options.headers['Content-Encoding']](message, function (error, compressedMessage) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        options.body = compressedMessage;
+        performRequest(options, logger, callback);
+    });
+}
+
+/**
+ * Sends the specified message without using any compression.
+ *
+ * @param options The options to use in the request.
+ * @param message The message to send in the request.
+ * @param logger A logger instance.
+ * @param callback A function called with the request error and response.
+ */
+function sendUncompressedMessage(options, message, logger, callback) {
+    options.body = message;
+
+    performRequest(options, logger, callback);
+}
+
+/**
+ * Schedules the next attempt of a failed request, keeping track of it so it can be cancelled once the transport is closed.
+ *
+ * @param self A self API transport instance.
+ * @param delay The delay before the next attempt in milliseconds.
+ * @param retry A function that makes the next attempt.
+ * @param cancel A function that fails the request, called if the transport is closed before the next attempt.
+ */
+function scheduleRetry(self, delay, retry, cancel) {
+    var pendingRetry = {cancel: cancel};
+
+    pendingRetry.timer = setTimeout(function () {
+        self.pendingRetries.splice(self.pendingRetries.indexOf(pendingRetry), 1);
+        retry();
+    }, delay);
+
+    self.pendingRetries.push(pendingRetry);
+}
+
+/**
+ * Sends a payload to a Statful API path, retrying failed attempts with exponential backoff.
+ *
+ * @param self A self API transport instance.
+ * @param path The Statful API path to send to.
+ * @param payload The metric lines to send.
+ * @param callback A function called with an error and the delivery details once the payload is delivered or discarded.
+ */
+function sendWithRetries(self, path, payload, callback) {
+    var firstAttemptTime = Date.now(),
+        codec = Buffer.byteLength(payload) >= self.compressionThreshold ? self.compression : null;
+
+    function attemptSend(attempt) {
+        var options = buildStatfulOptions(self.protocol, self.host, self.port, path, self.token, self.timeout,
+                self.connectionOptions),
+            send = codec ? sendCompressedMessage : sendUncompressedMessage;
+
+        if (codec) {
+            options.headers['Content-Encoding'] = codec;
+        }
+
+        if (self.logger) {
+            self.logger.debug('Flushing to ' + options.url + (attempt > 1 ? ' (attempt ' + attempt + ')' : ''));
+        }
+
+        send(options, payload, self.logger, function (error, response) {
+            var delay,
+                details = {
+                    url: options.url,
+                    statusCode: response ? response.statusCode : null,
+                    bytes: Buffer.byteLength(options.body || ''),
+                    compressed: !!codec,
+                    attempts: attempt
+                };
+
+            if (!error && response.statusCode === 201) {
+                callback(null, details);
+                return;
+            }
+
+            if (retryHelper.isRetryableFailure(error, response) && !self.closed) {
+                delay = retryHelper.getRetryDelay(self.retry, attempt);
+
+                if (retryHelper.shouldRetry(self.retry, attempt, firstAttemptTime, delay)) {
+                    if (self.logger) {
+                        self.logger.warn('Retrying flush to ' + options.url + ' in ' + delay + 'ms');
+                    }
+                    self.emit('retry', {url: options.url, statusCode: details.statusCode, attempt: attempt + 1, delay: delay});
+
+                    scheduleRetry(self, delay, function () {
+                        attemptSend(attempt + 1);
+                    }, function () {
+                        callback(new Error('Unable to flush metrics to ' + options.url + ': the transport is closed'), details);
+                    });
+                    return;
+                }
+            }
+
+            callback(new Error('Unable to flush metrics to ' + options.url + ' after ' + attempt + ' attempt(s)'), details);
+        });
+    }
+
+    attemptSend(1);
+}
+
+/**
+ * Calls the callbacks of the payloads of a request. The payloads merged in a request share its delivery details,
+ * except the bytes, which are split between them in proportion to their size.
+ *
+ * @param request The finished request.
+ * @param error The error of the request, if any.
+ * @param details The delivery details of the request, if any.
+ */
+function finishRequest(request, error, details) {
+    var totalBytes = Buffer.byteLength(request.payloads.join('\n'));
+
+    request.callbacks.forEach(function (callback, index) {
+        var payloadBytes = Buffer.byteLength(request.payloads[index]);
+
+        if (details && request.payloads.length > 1) {
+            callback(error, merge({}, details, {
+                bytes: details.compressed ? Math.round(details.bytes * payloadBytes / totalBytes) : payloadBytes
+            }));
+        } else {
+            callback(error, details);
+        }
+    });
+}
+
+/**
+ * Checks if a payload can be merged into a queued request without going over the maximum payload sizes.
+ * The size of the compressed request is unknown until it is sent, so its uncompressed size is checked against
+ * the maximum compressed payload size instead.
+ *
+ * @param self A self API transport instance.
+ * @param request A queued request.
+ * @param payload The payload to merge.
+ *
+ * @returns {boolean} Returns true if the merged request stays within the maximum payload sizes.
+ */
+function fitsInRequest(self, request, payload) {
+    var mergedBytes = Buffer.byteLength(request.payloads.join('\n')) + 1 + Buffer.byteLength(payload);
+
+    return (!self.maxPayloadSize || mergedBytes <= self.maxPayloadSize) &&
+        (!self.compression || !self.maxCompressedPayloadSize || mergedBytes <= self.maxCompressedPayloadSize);
+}
+
+/**
+ * Removes the oldest request from the queue.
+ *
+ * @param self A self API transport instance.
+ *
+ * @returns {*} The queued request, with its path, bytes, the payloads and the callback of each one.
+ */
+function dequeueRequest(self) {
+    var request = self.queue.shift();
+
+    self.queueSize -= request.bytes;
+
+    return request;
+}
+
+/**
+ * Sends a request with the specified payloads, merged in a single payload, sending the next queued request once
+ * it is finished. While the circuit breaker is open, the request fails right away.
+ *
+ * @param self A self API transport instance.
+ * @param request The request to send, with its path, the payloads and the callback of each one.
+ */
+function startRequest(self, request) {
+    var error;
+
+    if (self.circuitBreaker && !self.circuitBreaker.isRequestAllowed()) {
+        error = new Error('Unable to flush metrics to ' + self.url + ': the circuit breaker is open');
+        error.code = 'ECIRCUITOPEN';
+
+        finishRequest(request, error);
+
+        if (self.queue.length > 0) {
+            startRequest(self, dequeueRequest(self));
+        }
+        return;
+    }
+
+    self.inFlight++;
+
+    sendWithRetries(self, request.path, request.payloads.join('\n'), function (error, details) {
+        self.inFlight--;
+
+        if (self.circuitBreaker) {
+            if (error) {
+                self.circuitBreaker.onFailure();
+            } else {
+                self.circuitBreaker.onSuccess();
+            }
+        }
+
+        if (self.queue.length > 0) {
+            startRequest(self, dequeueRequest(self));
+        }
+
+        finishRequest(request, error, details);
+    });
+}
+
+/**
+ * The Statful API transport. Sends each payload in a HTTP(S) request, retrying failed requests with exponential backoff.
+ * It supports aggregated metrics and emits a retry event before each retry and a circuitBreaker event on every
+ * state change of its circuit breaker.
+ *
+ * @constructor Build an API transport.
+ *
+ * @param config Client configuration object.
+ * @param logger A logger instance.
+ */
+var ApiTransport = function (config, logger) {
+    var self = this;
+
+    if (!config.api || !config.api.token) {
+        throw 'Statful API Token not defined';
+    }
+
+    EventEmitter.call(this);
+
+    this.name = 'api';
+    this.logger = logger;
+    this.protocol = config.api.protocol || 'https';
+
+    if (!defaultPorts.hasOwnProperty(this.protocol)) {
+        throw 'API protocol is invalid, please read the documentation';
+    }
+
+    this.host = config.api.host || 'api.statful.com';
+    this.port = config.api.port || defaultPorts[this.protocol];
+    this.basePath = '/tel/v2.0/metrics';
+    this.url = this.protocol + '://' + this.host + ':' + this.port + this.basePath;
+    this.timeout = config.api.timeout || 2000;
+    this.token = config.token || config.api.token;
+    this.compression = config.compression === true ? 'gzip' : config.compression || null;
+    this.compressionThreshold = config.compressionThreshold || 0;
+
+    if (this.compression && !codecs.hasOwnProperty(this.compression)) {
+        throw 'Compression is invalid, please read the documentation';
+    }
+
+    if (this.compression && typeof codecs[this.compression] !== 'function') {
+        throw 'Compression ' + this.compression + ' is not supported by this version of NodeJS';
+    }
+
+    if (typeof this.compressionThreshold !== 'number' || this.compressionThreshold < 0) {
+        throw 'Compression threshold is invalid, please read the documentation';
+    }
+    this.retry = retryHelper.buildRetryConfig(config.api.retry);
+    this.connectionOptions = buildConnectionOptions(config.api);
+    this.maxConcurrentRequests = config.api.maxConcurrentRequests || 0;
+
+    if (typeof this.maxConcurrentRequests !== 'number' || this.maxConcurrentRequests < 0 ||
+        Math.floor(this.maxConcurrentRequests) !== this.maxConcurrentRequests) {
+        throw 'API concurrency configuration is invalid, please read the documentation';
+    }
+
+    this.maxQueueSize = config.api.maxQueueSize !== undefined ? config.api.maxQueueSize : 10 * 1024 * 1024;
+
+    if (!configHelper.isPositiveInteger(this.maxQueueSize)) {
+        throw 'API concurrency configuration is invalid, please read the documentation';
+    }
+
+    this.maxPayloadSize = config.api.maxPayloadSize;
+    this.maxCompressedPayloadSize = config.api.maxCompressedPayloadSize;
+
+    if ((this.maxPayloadSize !== undefined && !configHelper.isPositiveInteger(this.maxPayloadSize)) ||
+        (this.maxCompressedPayloadSize !== undefined && !configHelper.isPositiveInteger(this.maxCompressedPayloadSize))) {
+        throw 'API payload size configuration is invalid, please read the documentation';
+    }
+
+    this.inFlight = 0;
+    this.queue = [];
+    this.queueSize = 0;
+    this.pendingRetries = [];
+    this.closed = false;
+    this.circuitBreaker = config.api.circuitBreaker ? new CircuitBreaker(config.api.circuitBreaker) : null;
+
+    if (this.circuitBreaker) {
+        this.circuitBreaker.on('stateChange', function (event) {
+            if (self.logger) {
+                self.logger.warn('Circuit breaker of ' + self.url + ' is ' + event.state + ' after ' + event.failures + ' consecutive failure(s)');
+            }
+            self.emit('circuitBreaker', {url: self.url, state: event.state, failures: event.failures});
+        });
+    }
+
+    this.capabilities = {
+        aggregatedMetrics: true,
+        maxPayloadSize: this.maxPayloadSize
+    };
+};
+
+util.inherits(ApiTransport, EventEmitter);
+
+/**
+ * Builds the Statful API path for the specified routing.
+ *
+ * @param routing The aggregation and aggregation frequency of the metrics, or null if they are not aggregated.
+ *
+ * @returns {string} The API path.
+ */
+ApiTransport.prototype.buildPath = function (routing) {
+    return routing ? this.basePath + '/aggregation/' + routing.agg + '/frequency/' + routing.aggFreq : this.basePath;
+};
+
+/**
+ * Splits a payload on line boundaries until each chunk fits the maximum compressed payload size once compressed.
+ * Chunks are halved until they fit, and a single line that doesn't fit is sent on its own.
+ *
+ * @param payload The metric lines to split.
+ * @param callback A function called with an array of chunks.
+ */
+ApiTransport.prototype.splitPayload = function (payload, callback) {
+    var self = this;
+
+    if (!this.compression || !this.maxCompressedPayloadSize) {
+        callback([payload]);
+        return;
+    }
+
+    codecs[this.compression](payload, function (error, compressedPayload) {
+        var lines,
+            middle;
+
+        if (error || compressedPayload.length <= self.maxCompressedPayloadSize) {
+            callback([payload]);
+            return;
+        }
+
+        lines = payload.split('\n');
+
+        if (lines.length === 1) {
+            if (self.logger) {
+                self.logger.warn('Metric line of ' + compressedPayload.length + ' compressed bytes exceeds the maximum payload size of ' +
+                    self.maxCompressedPayloadSize + ' bytes');
+            }
+            callback([payload]);
+            return;
+        }
+
+        middle = Math.ceil(lines.length / 2);
+
+        self.splitPayload(lines.slice(0, middle).join('\n'), function (firstChunks) {
+            self.splitPayload(lines.slice(middle).join('\n'), function (secondChunks) {
+                callback(firstChunks.concat(secondChunks));
+            });
+        });
+    });
+};
+
+/**
+ * Sends a payload to the Statful API path of its routing, retrying failed attempts with exponential backoff.
+ * Once the maximum number of concurrent requests is reached, the payload waits in a queue, merged with the
+ * payloads queued for the same path as long as the merged request stays within the maximum payload sizes.
+ * The payloads that don't fit in the maximum queue size fail right away.
+ *
+ * @param payload The metric lines to send.
+ * @param routing The aggregation and aggregation frequency of the metrics, or null if they are not aggregated.
+ * @param callback A function called with an error and the delivery details once the payload is delivered or discarded.
+ *          The delivery details have the url, statusCode, bytes, compressed and attempts of the last request,
+ *          which are shared by the payloads merged in that request, except the bytes.
+ */
+ApiTransport.prototype.send = function (payload, routing, callback) {
+    var self = this,
+        path = this.buildPath(routing),
+        bytes = Buffer.byteLength(payload),
+        queued,
+        error;
+
+    if (this.closed) {
+        callback(new Error('Unable to flush metrics to ' + this.url + ': the transport is closed'));
+        return;
+    }
+
+    if (!this.maxConcurrentRequests || this.inFlight < this.maxConcurrentRequests) {
+        startRequest(this, {path: path, payloads: [payload], callbacks: [callback]});
+        return;
+    }
+
+    if (this.queueSize + bytes > this.maxQueueSize) {
+        error = new Error('Unable to flush metrics to ' + this.url + ': the request queue is full');
+        error.code = 'EQUEUEFULL';
+        callback(error);
+        return;
+    }
+
+    queued = this.queue.filter(function (request) {
+        return request.path === path && fitsInRequest(self, request, payload);
+    })[0];
+
+    if (queued) {
+        queued.payloads.push(payload);
+        queued.callbacks.push(callback);
+        queued.bytes += bytes;
+    } else {
+        this.queue.push({path: path, bytes: bytes, payloads: [payload], callbacks: [callback]});
+    }
+    this.queueSize += bytes;
+};
+
+/**
+ * Closes the transport, failing the queued payloads and the ones waiting for a retry, and destroying the agents of
+ * its pool so neither retry timers nor keep-alive connections hold the process open.
+ */
+ApiTransport.prototype.close = function () {
+    var self = this,
+        pool = this.connectionOptions.pool,
+        queue = this.queue,
+        pendingRetries = this.pendingRetries;
+
+    this.closed = true;
+    this.queue = [];
+    this.queueSize = 0;
+    this.pendingRetries = [];
+
+    queue.forEach(function (request) {
+        finishRequest(request, new Error('Unable to flush metrics to ' + self.url + ': the transport is closed'));
+    });
+
+    pendingRetries.forEach(function (pendingRetry) {
+        clearTimeout(pendingRetry.timer);
+        pendingRetry.cancel();
+    });
+
+    Object.keys(pool).forEach(function (poolKey) {
+        if (typeof pool[poolKey].destroy === 'function') {
+            pool[poolKey].destroy();
+        }
+    });
+};
+
+module.exports = ApiTransport;
@@ -0,0 +1,98 @@
+'use strict';
+
+var util = require('util'),
+    EventEmitter = require('events').EventEmitter,
+    configHelper = require('../config-helper');
+
+var defaultCircuitBreakerConfig = {
+    failureThreshold: 5,
+    resetTimeout: 30000
+};
+
+/**
+ * A circuit breaker that stops requests to an endpoint that keeps failing. It opens after a number of consecutive
+ * failed requests, lets a single probe request through once the reset timeout elapses (half open) and closes again
+ * once a request succeeds. It emits a stateChange event, with the new state and the consecutive failures, on every
+ * transition.
+ *
+ * @constructor Build a circuit breaker.
+ *
+ * @param config Circuit breaker configuration object. Can be true to use the defaults.
+ *          - failureThreshold: The number of consecutive failed requests that opens the circuit. Default: 5.
+ *          - resetTimeout: The time in milliseconds the circuit stays open before a probe request. Default: 30000.
+ */
+var CircuitBreaker = function (config) {
+    config = typeof config === 'object' ? config : {};
+
+    EventEmitter.call(this);
+
+    this.failureThreshold = config.failureThreshold !== undefined ? config.failureThreshold : defaultCircuitBreakerConfig.failureThreshold;
+    this.resetTimeout = config.resetTimeout !== undefined ? config.resetTimeout : defaultCircuitBreakerConfig.resetTimeout;
+
+    if (!configHelper.isPositiveInteger(this.failureThreshold) || !configHelper.isPositiveInteger(this.resetTimeout)) {
+        throw 'Circuit breaker configuration is invalid, please read the documentation';
+    }
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+};
+
+util.inherits(CircuitBreaker, EventEmitter);
+
+/**
+ * Changes the state of the circuit, emitting a stateChange event.
+ *
+ * @param state The new state: closed, open or halfOpen.
+ */
+CircuitBreaker.prototype.changeState = function (state) {
+    this.state = state;
+    this.emit('stateChange', {state: state, failures: this.failures});
+};
+
+/**
+ * Checks if a request can be sent. Once the reset timeout elapses, the circuit becomes half open and the first
+ * request checked is let through as a probe.
+ *
+ * @returns {boolean} Returns true if the request can be sent
+ */
+CircuitBreaker.prototype.isRequestAllowed = function () {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+        this.changeState('halfOpen');
+    }
+
+    if (this.state === 'halfOpen' && !this.probing) {
+        this.probing = true;
+        return true;
+    }
+
+    return this.state === 'closed';
+};
+
+/**
+ * Records a successful request, closing the circuit.
+ */
+CircuitBreaker.prototype.onSuccess = function () {
+    this.failures = 0;
+    this.probing = false;
+
+    if (this.state !== 'closed') {
+        this.changeState('closed');
+    }
+};
+
+/**
+ * Records a failed request, opening the circuit if the failure threshold is reached or the probe request failed.
+ */
+CircuitBreaker.prototype.onFailure = function () {
+    this.failures++;
+    this.probing = false;
+
+    if (this.state === 'halfOpen' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+        this.openedAt = Date.now();
+        this.changeState('open');
+    }
+};
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,58 @@
+'use strict';
+
+var UdpTransport = require('./udp'),
+    TcpTransport = require('./tcp'),
+    UnixTransport = require('./unix'),
+    ApiTransport = require('./api');
+
+var builtInTransports = {
+    udp: UdpTransport,
+    tcp: TcpTransport,
+    unix: UnixTransport,
+    api: ApiTransport
+};
+
+/**
+ * Checks if the specified object implements the transport contract:
+ *          - send(payload, routing, callback): Sends a payload of metric lines separated by line breaks. The routing
+ *            has the agg and aggFreq of aggregated metrics, or is null. The callback must be called with an error,
+ *            if the payload couldn't be delivered, and optionally with the delivery details: url, statusCode,
+ *            bytes, compressed and attempts.
+ *          - close(): Releases the resources of the transport once the client is closed.
+ *          - capabilities: An object with aggregatedMetrics, true if aggregated metrics are supported,
+ *            and maxPayloadSize, the maximum size in bytes of each payload, if any.
+ *          - splitPayload(payload, callback): Optional. Splits a payload that fits the maxPayloadSize but not a limit
+ *            only known once it is encoded, calling the callback with an array of chunks. Each chunk is sent on its own.
+ *
+ * @param transport The object to check.
+ * @returns {boolean} Returns true if the object is a valid transport
+ */
+function isTransportValid(transport) {
+    return typeof transport === 'object' && transport !== null &&
+        typeof transport.send === 'function' && typeof transport.close === 'function' &&
+        typeof transport.capabilities === 'object' && transport.capabilities !== null;
+}
+
+/**
+ * Creates the transport of a client: one of the built-in transports, by name, or a custom transport object.
+ *
+ * @param config Client configuration object.
+ * @param logger A logger instance.
+ * @returns {*} A transport
+ */
+function createTransport(config, logger) {
+    var transport = config.transport || 'udp';
+
+    if (typeof transport === 'string' && builtInTransports.hasOwnProperty(transport)) {
+        return new builtInTransports[transport](config, logger);
+    }
+
+    if (!isTransportValid(transport)) {
+        throw 'Transport is invalid, please read the documentation';
+    }
+
+    return transport;
+}
+
+exports.isTransportValid = isTransportValid;
+exports.createTransport = createTransport;
@@ -0,0 +1,198 @@
+'use strict';
+
+var net = require('net'),
+    tls = require('tls'),
+    merge = require('merge'),
+    configHelper = require('../config-helper'),
+    retryHelper = require('../retry-helper');
+
+var defaultReconnectConfig = {
+    initialDelay: 1000,
+    maxDelay: 30000,
+    multiplier: 2,
+    jitter: 0.2
+};
+
+/**
+ * Builds the reconnect configuration, filling the missing options with the defaults.
+ *
+ * @param reconnectConfig The reconnect configuration. Can be undefined to use the defaults.
+ * @returns {*} A reconnect configuration object
+ */
+function buildReconnectConfig(reconnectConfig) {
+    var config = {},
+        option;
+
+    reconnectConfig = reconnectConfig || {};
+
+    for (option in defaultReconnectConfig) {
+        if (defaultReconnectConfig.hasOwnProperty(option)) {
+            config[option] = reconnectConfig[option] !== undefined ? reconnectConfig[option] : defaultReconnectConfig[option];
+        }
+    }
+
+    if (!configHelper.isPositiveNumber(config.initialDelay) || !configHelper.isPositiveNumber(config.maxDelay) ||
+        typeof config.multiplier !== 'number' || config.multiplier < 1 ||
+        typeof config.jitter !== 'number' || config.jitter < 0 || config.jitter > 1) {
+        throw 'TCP configuration is invalid, please read the documentation';
+    }
+
+    return config;
+}
+
+/**
+ * A persistent connection to a Statful relay, over plain TCP, TLS or a Unix domain stream socket.
+ * Writes are queued while disconnected and the connection is reestablished with exponential backoff whenever it is lost.
+ *
+ * @constructor Build a TCP connection.
+ *
+ * @param config TCP connection configuration object.
+ *          - host: The host of the relay.
+ *          - port: The port of the relay.
+ *          - path: The path of the Unix domain socket of the relay. Takes precedence over the host and port.
+ *          - tls: TLS options, such as ca, cert, key or rejectUnauthorized. Can be true to use the defaults. Default: no TLS.
+ *          - reconnect: The reconnect backoff: initialDelay, maxDelay, multiplier and jitter.
+ *          - maxQueueSize: The maximum size in bytes of the writes queued while disconnected. Default: 1MB.
+ * @param logger A logger instance.
+ */
+var TcpConnection = function (config, logger) {
+    this.logger = logger;
+    this.host = config.host;
+    this.port = config.port;
+    this.path = config.path;
+    this.tls = config.tls ? (typeof config.tls === 'object' ? config.tls : {}) : null;
+    this.reconnect = buildReconnectConfig(config.reconnect);
+    this.maxQueueSize = config.maxQueueSize !== undefined ? config.maxQueueSize : 1024 * 1024;
+
+    if (!configHelper.isPositiveNumber(this.maxQueueSize)) {
+        throw 'TCP configuration is invalid, please read the documentation';
+    }
+
+    this.url = this.path ? 'unix://' + this.path : (this.tls ? 'tls' : 'tcp') + '://' + this.host + ':' + this.port;
+    this.queue = [];
+    this.queueSize = 0;
+    this.connected = false;
+    this.closed = false;
+    this.attempts = 0;
+
+    this.connect();
+};
+
+/**
+ * Opens the connection, writing the queued data once it is established.
+ */
+TcpConnection.prototype.connect = function () {
+    var self = this,
+        connectEvent = this.tls ? 'secureConnect' : 'connect',
+        options = this.path ? {path: this.path} : {host: this.host, port: this.port},
+        // The server name indication must be a host name, never an IP address
+        tlsDefaults = this.host && !net.isIP(this.host) ? {servername: this.host} : {};
+
+    this.reconnectTimer = null;
+    this.socket = this.tls ? tls.connect(merge(tlsDefaults, this.tls, options)) : net.connect(options);
+
+    this.socket.on(connectEvent, function () {
+        if (self.logger) {
+            self.logger.debug('Connected to ' + self.url);
+        }
+
+        self.connected = true;
+        self.attempts = 0;
+        self.writeQueue();
+    });
+
+    this.socket.on('error', function (error) {
+        if (self.logger) {
+            self.logger.error('Connection to ' + self.url + ' failed: ' + error);
+        }
+    });
+
+    this.socket.on('close', function () {
+        self.connected = false;
+        self.socket = null;
+
+        if (!self.closed) {
+            self.scheduleReconnect();
+        }
+    });
+};
+
+/**
+ * Schedules a new connection attempt, with exponential backoff.
+ */
+TcpConnection.prototype.scheduleReconnect = function () {
+    var self = this,
+        delay = retryHelper.getRetryDelay(this.reconnect, ++this.attempts);
+
+    if (this.logger) {
+        this.logger.debug('Reconnecting to ' + this.url + ' in ' + delay + 'ms');
+    }
+
+    this.reconnectTimer = setTimeout(function () {
+        self.connect();
+    }, delay);
+};
+
+/**
+ * Writes the data queued while disconnected.
+ */
+TcpConnection.prototype.writeQueue = function () {
+    var queue = this.queue;
+
+    this.queue = [];
+    this.queueSize = 0;
+
+    queue.forEach(function (entry) {
+        this.write(entry.data, entry.callback);
+    }, this);
+};
+
+/**
+ * Writes data to the relay, or queues it if the connection is not established.
+ *
+ * @param data The data to write.
+ * @param callback A function called with an error, if the data couldn't be written.
+ */
+TcpConnection.prototype.write = function (data, callback) {
+    var size = Buffer.byteLength(data);
+
+    if (this.closed) {
+        callback(new Error('Connection to ' + this.url + ' is closed'));
+    } else if (this.connected) {
+        this.socket.write(data, function (error) {
+            callback(error || null);
+        });
+    } else if (this.queueSize + size > this.maxQueueSize) {
+        callback(new Error('Connection to ' + this.url + ' is not established and its queue is full'));
+    } else {
+        this.queue.push({data: data, callback: callback});
+        this.queueSize += size;
+    }
+};
+
+/**
+ * Closes the connection once the pending writes are done, failing the queued ones.
+ */
+TcpConnection.prototype.close = function () {
+    var self = this,
+        queue = this.queue;
+
+    this.closed = true;
+    this.queue = [];
+    this.queueSize = 0;
+
+    clearTimeout(this.reconnectTimer);
+
+    queue.forEach(function (entry) {
+        entry.callback(new Error('Connection to ' + self.url + ' is closed'));
+    });
+
+    if (this.socket) {
+        this.socket.once('finish', function () {
+            this.destroy();
+        });
+        this.socket.end();
+    }
+};
+
+module.exports = TcpConnection;
@@ -0,0 +1,51 @@
+'use strict';
+
+var merge = require('merge'),
+    TcpConnection = require('./tcp-connection');
+
+/**
+ * The TCP transport. Writes newline delimited payloads to a persistent connection to a Statful relay,
+ * optionally over TLS. It doesn't support aggregated metrics.
+ *
+ * @constructor Build a TCP transport.
+ *
+ * @param config Client configuration object.
+ * @param logger A logger instance.
+ */
+var TcpTransport = function (config, logger) {
+    this.name = 'tcp';
+    this.host = (config.tcp && config.tcp.host) || config.host || '127.0.0.1';
+    this.port = (config.tcp && config.tcp.port) || config.port || 2013;
+    this.connection = new TcpConnection(merge({}, config.tcp, {host: this.host, port: this.port}), logger);
+    this.url = this.connection.url;
+
+    this.capabilities = {
+        aggregatedMetrics: false
+    };
+};
+
+/**
+ * Writes a payload to the connection, queueing it while the connection is not established.
+ *
+ * @param payload The metric lines to send.
+ * @param routing The aggregation and aggregation frequency of the metrics. Always null, since aggregated metrics aren't supported.
+ * @param callback A function called with an error, if the payload couldn't be written, and the delivery details.
+ */
+TcpTransport.prototype.send = function (payload, routing, callback) {
+    var self = this,
+        data = payload + '\n';
+
+    this.connection.write(data, function (error) {
+        callback(error ? new Error('Unable to flush metrics to ' + self.url + ': ' + error.message) : null,
+            {bytes: Buffer.byteLength(data)});
+    });
+};
+
+/**
+ * Closes the connection, failing the queued payloads.
+ */
+TcpTransport.prototype.close = function () {
+    this.connection.close();
+};
+
+module.exports = TcpTransport;
@@ -0,0 +1,131 @@
+'use strict';
+
+var dgram = require('dgram'),
+    dns = require('dns'),
+    net = require('net'),
+    configHelper = require('../config-helper');
+
+/**
+ * The UDP transport. Sends each payload in a single datagram to the configured host, which is resolved to
+ * an IPv4 or IPv6 address periodically. It doesn't support aggregated metrics.
+ *
+ * @constructor Build an UDP transport.
+ *
+ * @param config Client configuration object.
+ * @param logger A logger instance.
+ */
+var UdpTransport = function (config, logger) {
+    var self = this;
+
+    this.name = 'udp';
+    this.logger = logger;
+    this.host = (config.udp && config.udp.host) || config.host || '127.0.0.1';
+    this.port = (config.udp && config.udp.port) || config.port || 2013;
+    this.url = 'udp://' + this.host + ':' + this.port;
+    this.maxDatagramSize = (config.udp && config.udp.maxDatagramSize) || config.maxDatagramSize || 1400;
+    if (!configHelper.isMaxDatagramSizeValid(this.maxDatagramSize)) {
+        throw 'UDP maximum datagram size is invalid, please read the documentation';
+    }
+    this.family = (config.udp && config.udp.family) || config.family;
+    if (this.family !== undefined && this.family !== 4 && this.family !== 6) {
+        throw 'UDP family is invalid, please read the documentation';
+    }
+
+    this.capabilities = {
+        aggregatedMetrics: false,
+        maxPayloadSize: this.maxDatagramSize
+    };
+    this.closed = false;
+
+    if (net.isIP(this.host)) {
+        this.address = this.host;
+        this.socket = dgram.createSocket(net.isIPv6(this.host) ? 'udp6' : 'udp4');
+    } else {
+        this.dnsRefreshInterval = (config.udp && config.udp.dnsRefreshInterval) || config.dnsRefreshInterval || 60000;
+        this.resolveHost();
+        this.dnsTimer = setInterval(function () {
+            self.resolveHost();
+        }, this.dnsRefreshInterval);
+    }
+};
+
+/**
+ * Resolves the host, creating a socket of the same family as the resolved address
+ * or replacing the current one if the family changed.
+ *
+ * @param callback A function called with an error, if the host couldn't be resolved.
+ */
+UdpTransport.prototype.resolveHost = function (callback) {
+    var self = this;
+
+    dns.lookup(this.host, {family: this.family || 0}, function (error, address, family) {
+        var socketType = family === 6 ? 'udp6' : 'udp4';
+
+        if (error) {
+            if (self.logger) {
+                self.logger.error('Unable to resolve ' + self.host + ': ' + error);
+            }
+        } else if (!self.closed || callback) {
+            self.address = address;
+
+            if (!self.socket || self.socket.type !== socketType) {
+                if (self.socket) {
+                    self.socket.close();
+                }
+                self.socket = dgram.createSocket(socketType);
+            }
+        }
+
+        if (callback) {
+            callback(error);
+        }
+    });
+};
+
+/**
+ * Sends a payload in a single datagram.
+ *
+ * @param payload The metric lines to send.
+ * @param routing The aggregation and aggregation frequency of the metrics. Always null, since aggregated metrics aren't supported.
+ * @param callback A function called with an error, if the datagram couldn't be sent.
+ */
+UdpTransport.prototype.send = function (payload, routing, callback) {
+    var self = this,
+        buffer = new Buffer(payload);
+
+    function onSent(error) {
+        callback(error ? new Error('Unable to flush metrics to ' + self.url + ': ' + error.message) : null);
+    }
+
+    if (buffer.length > this.maxDatagramSize && this.logger) {
+        this.logger.warn('Sending a datagram of ' + buffer.length + ' bytes, bigger than the maximum datagram size of ' +
+            this.maxDatagramSize + ' bytes');
+    }
+
+    if (this.socket) {
+        this.socket.send(buffer, 0, buffer.length, this.port, this.address, onSent);
+    } else {
+        this.resolveHost(function (error) {
+            if (error) {
+                onSent(error);
+            } else {
+                self.socket.send(buffer, 0, buffer.length, self.port, self.address, onSent);
+            }
+        });
+    }
+};
+
+/**
+ * Closes the socket and stops resolving the host.
+ */
+UdpTransport.prototype.close = function () {
+    this.closed = true;
+
+    clearInterval(this.dnsTimer);
+
+    if (this.socket) {
+        this.socket.close();
+    }
+};
+
+module.exports = UdpTransport;
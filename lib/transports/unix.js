@@ -0,0 +1,101 @@
+'use strict';
+
+var merge = require('merge'),
+    TcpConnection = require('./tcp-connection');
+
+/**
+ * Creates a Unix domain datagram socket. Node.js has no support for them, so the optional unix-dgram package is required.
+ *
+ * @param logger A logger instance.
+ *
+ * @returns {*} A Unix domain datagram socket.
+ */
+function createDatagramSocket(logger) {
+    var unixDgram,
+        socket;
+
+    try {
+        unixDgram = require('unix-dgram');
+    } catch (error) {
+        throw 'Unix datagram sockets require the unix-dgram package, please read the documentation';
+    }
+
+    socket = unixDgram.createSocket('unix_dgram');
+    socket.on('error', function (error) {
+        if (logger) {
+            logger.error('Unix datagram socket failed: ' + error);
+        }
+    });
+
+    return socket;
+}
+
+/**
+ * The Unix domain socket transport. Sends payloads to a local Statful relay through a stream socket,
+ * like the TCP transport, or through a datagram socket, like the UDP transport. It doesn't support aggregated metrics.
+ *
+ * @constructor Build an Unix domain socket transport.
+ *
+ * @param config Client configuration object.
+ * @param logger A logger instance.
+ */
+var UnixTransport = function (config, logger) {
+    if (!config.unix || !config.unix.path) {
+        throw 'Unix socket path not defined';
+    }
+
+    this.name = 'unix';
+    this.path = config.unix.path;
+    this.url = 'unix://' + this.path;
+    this.capabilities = {
+        aggregatedMetrics: false
+    };
+
+    switch (config.unix.type || 'stream') {
+        case 'stream':
+            this.connection = new TcpConnection(merge({}, config.unix, {path: this.path}), logger);
+            break;
+        case 'dgram':
+            this.capabilities.maxPayloadSize = config.unix.maxDatagramSize || 8192;
+            this.socket = createDatagramSocket(logger);
+            break;
+        default:
+            throw 'Unix socket type is invalid, please read the documentation';
+    }
+};
+
+/**
+ * Sends a payload through the socket: newline delimited for stream sockets or in a single datagram for datagram sockets.
+ *
+ * @param payload The metric lines to send.
+ * @param routing The aggregation and aggregation frequency of the metrics. Always null, since aggregated metrics aren't supported.
+ * @param callback A function called with an error, if the payload couldn't be sent, and the delivery details.
+ */
+UnixTransport.prototype.send = function (payload, routing, callback) {
+    var self = this,
+        data = this.connection ? payload + '\n' : payload;
+
+    function onSent(error) {
+        callback(error ? new Error('Unable to flush metrics to ' + self.url + ': ' + error.message) : null,
+            {bytes: Buffer.byteLength(data)});
+    }
+
+    if (this.connection) {
+        this.connection.write(data, onSent);
+    } else {
+        this.socket.send(new Buffer(data), 0, Buffer.byteLength(data), this.path, onSent);
+    }
+};
+
+/**
+ * Closes the socket, failing the queued payloads of stream sockets.
+ */
+UnixTransport.prototype.close = function () {
+    if (this.connection) {
+        this.connection.close();
+    } else {
+        this.socket.close();
+    }
+};
+
+module.exports = UnixTransport;
@@ -0,0 +1,136 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+var Aggregator = require('../lib/aggregator');
+
+var httpsServer = require('./tools/https-server');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+
+describe('When aggregating metrics locally', function () {
+    var httpPort = Math.floor(Math.random() * 20000) + 10001;
+    var apiConf = {
+        host: '127.0.0.1',
+        port: httpPort,
+        token: 'my-token'
+    };
+
+    it('should compute every aggregation over a window', function () {
+        // Given
+        var victim = new Aggregator();
+        var parameters = {
+            agg: ['avg', 'sum', 'count', 'min', 'max', 'first', 'last', 'p90', 'p95'],
+            aggFreq: 10,
+            timestamp: 1471519331
+        };
+
+        // When
+        for (var i = 20; i > 0; i--) {
+            victim.add('timer.my_metric', i, parameters);
+        }
+
+        // Then
+        expect(victim.collect(false)).to.deep.equal([{
+            name: 'timer.my_metric',
+            namespace: undefined,
+            tags: {},
+            aggFreq: 10,
+            timestamp: 1471519330,
+            values: {avg: 10.5, sum: 210, count: 20, min: 1, max: 20, first: 20, last: 1, p90: 18, p95: 19}
+        }]);
+    });
+
+    it('should aggregate separately per tag set and window', function () {
+        // Given
+        var victim = new Aggregator();
+
+        // When
+        victim.add('counter.my_metric', 1, {agg: ['sum'], tags: {env: 'qa'}, timestamp: 1471519331});
+        victim.add('counter.my_metric', 2, {agg: ['sum'], tags: {env: 'qa'}, timestamp: 1471519339});
+        victim.add('counter.my_metric', 4, {agg: ['sum'], tags: {env: 'prod'}, timestamp: 1471519331});
+        victim.add('counter.my_metric', 8, {agg: ['sum'], tags: {env: 'qa'}, timestamp: 1471519341});
+
+        // Then
+        expect(victim.collect(false).map(function (metric) {
+            return metric.tags.env + '@' + metric.timestamp + '=' + metric.values.sum;
+        })).to.deep.equal(['qa@1471519330=3', 'prod@1471519330=4', 'qa@1471519340=8']);
+    });
+
+    it('should only collect open windows when forced', function () {
+        // Given
+        var victim = new Aggregator();
+        victim.add('gauge.my_metric', 1, {agg: ['last']});
+
+        // When
+        var collected = victim.collect(false);
+        var forced = victim.collect(true);
+
+        // Then
+        expect(collected.length).to.be.equal(0);
+        expect(forced.length).to.be.equal(1);
+        expect(forced[0].values).to.deep.equal({last: 1});
+        expect(victim.collect(true).length).to.be.equal(0);
+    });
+
+    it('should flush locally aggregated metrics through the aggregated buffers', function (done) {
+        // Given
+        var requests = {};
+        httpsServer.start(httpPort, '127.0.0.1', onResponse);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: apiConf,
+            localAggregation: true,
+            flushInterval: 10
+        }, logger);
+
+        // When
+        victim.counter('my_metric', 1, {timestamp: 1471519331, tags: {cluster: 'test'}});
+        victim.counter('my_metric', 2, {timestamp: 1471519332, tags: {cluster: 'test'}});
+
+        // Then
+        function onResponse(lines, url) {
+            requests[url] = lines;
+
+            if (Object.keys(requests).length === 2) {
+                httpsServer.stop();
+
+                expect(requests['/tel/v2.0/metrics/aggregation/sum/frequency/10']).to.be.equal('application.counter.my_metric,cluster=test 3 1471519330');
+                expect(requests['/tel/v2.0/metrics/aggregation/count/frequency/10']).to.be.equal('application.counter.my_metric,cluster=test 2 1471519330');
+                done();
+            }
+        }
+    });
+
+    it('should not aggregate custom metrics locally', function () {
+        // Given
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: apiConf,
+            localAggregation: true
+        }, logger);
+
+        // When
+        victim.put('my_metric', 1);
+        victim.timer('my_metric', 1);
+
+        // Then
+        expect(victim.nonAggregatedBuffer.bufferSize).to.be.equal(1);
+        expect(victim.aggregatedBuffer.bufferSize).to.be.equal(0);
+    });
+
+    it('should throw when local aggregation is not used with the api transport', function () {
+        var conf = {
+            systemStats: false,
+            transport: 'udp',
+            localAggregation: true
+        };
+
+        expect(Client.bind(Client, conf, logger)).to.throw('Local aggregation is only supported by transports that support aggregated metrics');
+    });
+});
@@ -0,0 +1,575 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+
+var http = require('http');
+var fs = require('fs');
+var zlib = require('zlib');
+var httpsServer = require('./tools/https-server');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+describe('When configuring the API connection', function () {
+    var httpPort = Math.floor(Math.random() * 20000) + 10001;
+
+    var decoders = {
+        gzip: zlib.gunzipSync,
+        deflate: zlib.inflateSync,
+        br: zlib.brotliDecompressSync
+    };
+
+    function startHttpServer(callback, delay) {
+        var server = http.createServer(function (req, res) {
+            var chunks = [];
+
+            req.on('data', function (chunk) {
+                chunks.push(chunk);
+            });
+            req.on('end', function () {
+                var body = Buffer.concat(chunks),
+                    decoder = decoders[req.headers['content-encoding']];
+
+                callback(req, decoder ? decoder(body).toString() : body.toString());
+                setTimeout(function () {
+                    res.writeHead(201);
+                    res.end('ok');
+                }, delay || 0);
+            });
+        });
+
+        server.listen(httpPort, '127.0.0.1');
+
+        return server;
+    }
+
+    it('should send compressed metrics over plain HTTP', function (done) {
+        // Given
+        var server = startHttpServer(function (req, data) {
+            // Then
+            expect(req.url).to.be.equal('/tel/v2.0/metrics');
+            expect(req.headers['content-encoding']).to.be.equal('gzip');
+            expect(data).to.be.equal('application.my_metric 1 1471519331');
+        });
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            compression: true,
+            api: {
+                protocol: 'http',
+                host: '127.0.0.1',
+                port: httpPort,
+                token: 'my-token'
+            }
+        }, logger);
+
+        victim.put('my_metric', 1, {timestamp: 1471519331});
+
+        // When
+        victim.flush(function (error, results) {
+            server.close();
+
+            expect(error).to.be.null;
+            expect(results[0].url).to.be.equal('http://127.0.0.1:' + httpPort + '/tel/v2.0/metrics');
+            done();
+        });
+    });
+
+    ['deflate', 'br'].forEach(function (codec) {
+        it('should send metrics compressed with ' + codec, function (done) {
+            // Given
+            var server = startHttpServer(function (req, data) {
+                // Then
+                expect(req.headers['content-encoding']).to.be.equal(codec);
+                expect(data).to.be.equal('application.my_metric 1 1471519331');
+            });
+
+            var victim = new Client({
+                systemStats: false,
+                transport: 'api',
+                compression: codec,
+                api: {
+                    protocol: 'http',
+                    host: '127.0.0.1',
+                    port: httpPort,
+                    token: 'my-token'
+                }
+            }, logger);
+
+            victim.put('my_metric', 1, {timestamp: 1471519331});
+
+            // When
+            victim.flush(function (error, results) {
+                server.close();
+
+                expect(error).to.be.null;
+                expect(results[0].compressed).to.be.true;
+                done();
+            });
+        });
+    });
+
+    it('should only compress payloads from the compression threshold and report the compression ratio', function (done) {
+        // Given
+        var encodings = [];
+
+        var server = startHttpServer(function (req) {
+            encodings.push(req.headers['content-encoding']);
+        });
+
+        var victim = new Client({
+            flushInterval: 60000,
+            transport: 'api',
+            compression: 'gzip',
+            compressionThreshold: 100,
+            api: {
+                protocol: 'http',
+                host: '127.0.0.1',
+                port: httpPort,
+                token: 'my-token'
+            }
+        }, logger);
+
+        victim.put('small', 1, {timestamp: 1471519331});
+
+        // When
+        victim.flush(function (error, results) {
+            expect(results[0].compressed).to.be.false;
+
+            for (var i = 0; i < 10; i++) {
+                victim.put('big', 1, {timestamp: 1471519331});
+            }
+
+            victim.flush(function (error, results) {
+                // Then
+                server.close();
+
+                expect(encodings).to.deep.equal([undefined, 'gzip']);
+                expect(results[0].compressed).to.be.true;
+
+                process.nextTick(function () {
+                    expect(victim.nonAggregatedBuffer.buffer).to.match(/^application\.compression\.ratio,transport=api [\d.]+ \d+ avg,10$/m);
+                    victim.close(function () {
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('should send metrics through a proxy', function (done) {
+        // Given
+        var proxy = startHttpServer(function (req, data) {
+            // Then
+            expect(req.url).to.be.equal('http://metrics.example.com:8080/tel/v2.0/metrics');
+            expect(req.headers['m-api-token']).to.be.equal('my-token');
+            expect(data).to.be.equal('application.my_metric 1 1471519331');
+        });
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: {
+                protocol: 'http',
+                host: 'metrics.example.com',
+                port: 8080,
+                token: 'my-token',
+                proxy: 'http://127.0.0.1:' + httpPort
+            }
+        }, logger);
+
+        victim.put('my_metric', 1, {timestamp: 1471519331});
+
+        // When
+        victim.flush(function (error) {
+            proxy.close();
+
+            expect(error).to.be.null;
+            done();
+        });
+    });
+
+    it('should reuse a keep-alive agent with the TLS options between flushes', function (done) {
+        // Given
+        var ca = fs.readFileSync('./spec/fixtures/keys/agent-cert.pem');
+        httpsServer.start(httpPort, '127.0.0.1', function () {});
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: {
+                host: '127.0.0.1',
+                port: httpPort,
+                token: 'my-token',
+                keepAlive: true,
+                tls: {ca: ca}
+            }
+        }, logger);
+
+        victim.put('my_metric', 1);
+
+        // When
+        victim.flush(function () {
+            victim.put('my_metric', 2);
+
+            victim.flush(function (error) {
+                // Then
+                var pool = victim.transportInstance.connectionOptions.pool,
+                    agents = Object.keys(pool).map(function (poolKey) {
+                        return pool[poolKey];
+                    });
+
+                expect(error).to.be.null;
+                expect(agents.length).to.be.equal(1);
+                expect(agents[0].keepAlive).to.be.true;
+                expect(agents[0].options.ca).to.be.equal(ca);
+
+                victim.close(function () {
+                    httpsServer.stop();
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should queue the requests above the maximum number of concurrent requests', function (done) {
+        // Given
+        var inFlight = 0,
+            maxInFlight = 0,
+            urls = [];
+
+        var server = startHttpServer(function (req) {
+            urls.push(req.url);
+        }, 20);
+
+        server.on('request', function (req, res) {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            res.on('finish', function () {
+                inFlight--;
+            });
+        });
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: {
+                protocol: 'http',
+                host: '127.0.0.1',
+                port: httpPort,
+                token: 'my-token',
+                maxConcurrentRequests: 1
+            }
+        }, logger);
+
+        victim.put('my_metric', 1);
+        victim.aggregatedPut('my_metric', 1, 'avg', 60);
+        victim.aggregatedPut('my_metric', 1, 'max', 10);
+
+        // When
+        victim.flush(function (error, results) {
+            // Then
+            server.close();
+
+            expect(error).to.be.null;
+            expect(results.length).to.be.equal(3);
+            expect(maxInFlight).to.be.equal(1);
+            expect(urls).to.deep.equal([
+                '/tel/v2.0/metrics',
+                '/tel/v2.0/metrics/aggregation/avg/frequency/60',
+                '/tel/v2.0/metrics/aggregation/max/frequency/10'
+            ]);
+            done();
+        });
+    });
+
+    it('should merge the queued batches that go to the same endpoint', function (done) {
+        // Given
+        var payloads = [];
+
+        var server = startHttpServer(function (req, data) {
+            payloads.push(data);
+        }, 20);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: {
+                protocol: 'http',
+                host: '127.0.0.1',
+                port: httpPort,
+                token: 'my-token',
+                maxConcurrentRequests: 1
+            }
+        }, logger);
+
+        // When
+        victim.put('first', 1, {timestamp: 1471519331});
+        victim.flush();
+        victim.put('second', 2, {timestamp: 1471519331});
+        victim.flush();
+        victim.put('third', 3, {timestamp: 1471519331});
+        victim.flush(function (error, results) {
+            // Then
+            server.close();
+
+            expect(error).to.be.null;
+            expect(results[0].lines).to.be.equal(1);
+            expect(results[0].bytes).to.be.equal(Buffer.byteLength('application.third 3 1471519331'));
+            expect(payloads).to.deep.equal([
+                'application.first 1 1471519331',
+                'application.second 2 1471519331\napplication.third 3 1471519331'
+            ]);
+            done();
+        });
+    });
+
+    it('should drop the batches that don\'t fit in the request queue', function (done) {
+        // Given
+        var payloads = [],
+            droppedSpy = sinon.spy();
+
+        var server = startHttpServer(function (req, data) {
+            payloads.push(data);
+        }, 20);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: {
+                protocol: 'http',
+                host: '127.0.0.1',
+                port: httpPort,
+                token: 'my-token',
+                maxConcurrentRequests: 1,
+                maxQueueSize: 40
+            }
+        }, logger);
+
+        victim.on('dropped', droppedSpy);
+
+        // When
+        victim.put('first', 1, {timestamp: 1471519331});
+        victim.flush();
+        victim.put('second', 2, {timestamp: 1471519331});
+        victim.flush();
+        victim.put('third', 3, {timestamp: 1471519331});
+        victim.flush(function (error, results) {
+            // Then
+            expect(results[0].error.message).to.be.equal('Unable to flush metrics to http://127.0.0.1:' + httpPort +
+                '/tel/v2.0/metrics: the request queue is full');
+            expect(droppedSpy.calledWith({reason: 'bufferOverflow', count: 1})).to.be.true;
+            expect(victim.transportInstance.queueSize).to.be.equal(Buffer.byteLength('application.second 2 1471519331'));
+
+            setTimeout(function () {
+                server.close();
+
+                expect(payloads).to.deep.equal([
+                    'application.first 1 1471519331',
+                    'application.second 2 1471519331'
+                ]);
+                expect(victim.transportInstance.queueSize).to.be.equal(0);
+                victim.close(function () {
+                    done();
+                });
+            }, 100);
+        });
+    });
+
+    it('should fail the queued batches when the client is closed', function (done) {
+        // Given
+        var server = startHttpServer(function () {}, 100);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            closeTimeout: 10,
+            api: {
+                protocol: 'http',
+                host: '127.0.0.1',
+                port: httpPort,
+                token: 'my-token',
+                maxConcurrentRequests: 1
+            }
+        }, logger);
+
+        victim.put('first', 1);
+        victim.flush(function () {});
+        victim.put('second', 2);
+
+        // When
+        victim.flush(function (error, results) {
+            // Then
+            expect(results[0].error.message).to.be.equal('Unable to flush metrics to http://127.0.0.1:' + httpPort +
+                '/tel/v2.0/metrics: the transport is closed');
+
+            victim.transportInstance.send('application.third 3', null, function (sendError) {
+                expect(sendError.message).to.match(/the transport is closed$/);
+                server.close();
+                done();
+            });
+        });
+        victim.close(function () {});
+    });
+
+    it('should split the buffer into requests up to the maximum payload size', function (done) {
+        // Given
+        var payloads = [];
+
+        var server = startHttpServer(function (req, data) {
+            payloads.push(data);
+        });
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: {
+                protocol: 'http',
+                host: '127.0.0.1',
+                port: httpPort,
+                token: 'my-token',
+                maxPayloadSize: 40
+            }
+        }, logger);
+
+        victim.put('first', 1, {timestamp: 1471519331});
+        victim.put('second', 2, {timestamp: 1471519331});
+
+        // When
+        victim.flush(function (error, results) {
+            // Then
+            server.close();
+
+            expect(error).to.be.null;
+            expect(payloads.sort()).to.deep.equal([
+                'application.first 1 1471519331',
+                'application.second 2 1471519331'
+            ]);
+            expect(results.map(function (result) {
+                return result.lines;
+            })).to.deep.equal([1, 1]);
+            done();
+        });
+    });
+
+    it('should only merge the queued batches up to the maximum payload size', function (done) {
+        // Given
+        var bodySizes = [],
+            lines = [];
+
+        var server = startHttpServer(function (req, data) {
+            bodySizes.push(Number(req.headers['content-length']));
+            lines = lines.concat(data.split('\n'));
+        }, 10);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: {
+                protocol: 'http',
+                host: '127.0.0.1',
+                port: httpPort,
+                token: 'my-token',
+                maxPayloadSize: 200,
+                maxConcurrentRequests: 1
+            }
+        }, logger);
+
+        victim.put('first', 1, {timestamp: 1471519331});
+        victim.flush();
+
+        for (var i = 0; i < 20; i++) {
+            victim.put('metric_' + i, i, {timestamp: 1471519331});
+        }
+
+        // When
+        victim.flush(function (error, results) {
+            // Then
+            server.close();
+
+            expect(error).to.be.null;
+            expect(lines.length).to.be.equal(21);
+            expect(results.length).to.be.above(1);
+            expect(bodySizes.length).to.be.equal(results.length + 1);
+            bodySizes.forEach(function (bodySize) {
+                expect(bodySize).to.be.at.most(200);
+            });
+            expect(results.map(function (result) {
+                return result.bytes;
+            })).to.deep.equal(bodySizes.slice(1));
+            expect(results.reduce(function (total, result) {
+                return total + result.lines;
+            }, 0)).to.be.equal(20);
+            done();
+        });
+    });
+
+    it('should split the buffer into requests up to the maximum compressed payload size', function (done) {
+        // Given
+        var bodySizes = [],
+            lines = [];
+
+        var server = startHttpServer(function (req, data) {
+            bodySizes.push(Number(req.headers['content-length']));
+            lines = lines.concat(data.split('\n'));
+        });
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            compression: true,
+            api: {
+                protocol: 'http',
+                host: '127.0.0.1',
+                port: httpPort,
+                token: 'my-token',
+                maxCompressedPayloadSize: 200
+            }
+        }, logger);
+
+        for (var i = 0; i < 20; i++) {
+            victim.put('metric_' + i, Math.random(), {timestamp: 1471519331});
+        }
+
+        // When
+        victim.flush(function (error, results) {
+            // Then
+            server.close();
+
+            expect(error).to.be.null;
+            expect(results.length).to.be.above(1);
+            expect(results.length).to.be.equal(bodySizes.length);
+            expect(lines.length).to.be.equal(20);
+            expect(results.reduce(function (total, result) {
+                return total + result.lines;
+            }, 0)).to.be.equal(20);
+            bodySizes.forEach(function (bodySize) {
+                expect(bodySize).to.be.at.most(200);
+            });
+            done();
+        });
+    });
+
+    it('should throw when the API connection configuration is invalid', function () {
+        function buildConf(api) {
+            api.token = 'my-token';
+            return {systemStats: false, transport: 'api', api: api};
+        }
+
+        expect(Client.bind(Client, buildConf({protocol: 'ftp'}), logger)).to.throw('API protocol is invalid, please read the documentation');
+        expect(Client.bind(Client, buildConf({proxy: 8080}), logger)).to.throw('API connection configuration is invalid, please read the documentation');
+        expect(Client.bind(Client, buildConf({keepAlive: 'yes'}), logger)).to.throw('API connection configuration is invalid, please read the documentation');
+        expect(Client.bind(Client, buildConf({tls: 'TLSv1.2'}), logger)).to.throw('API connection configuration is invalid, please read the documentation');
+        expect(Client.bind(Client, {transport: 'api', compression: 'lzma', api: {token: 'my-token'}}, logger))
+            .to.throw('Compression is invalid, please read the documentation');
+        expect(Client.bind(Client, {transport: 'api', compression: 'gzip', compressionThreshold: -1, api: {token: 'my-token'}}, logger))
+            .to.throw('Compression threshold is invalid, please read the documentation');
+        expect(Client.bind(Client, buildConf({maxPayloadSize: 0}), logger)).to.throw('API payload size configuration is invalid, please read the documentation');
+        expect(Client.bind(Client, buildConf({maxConcurrentRequests: 1.5}), logger)).to.throw('API concurrency configuration is invalid, please read the documentation');
+        expect(Client.bind(Client, buildConf({maxQueueSize: 0}), logger)).to.throw('API concurrency configuration is invalid, please read the documentation');
+    });
+});
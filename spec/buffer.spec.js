@@ -0,0 +1,216 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+var bufferHelper = require('../lib/buffer-helper');
+
+var udpServer = require('./tools/udp-server');
+var memoryTransport = require('./tools/memory-transport');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+describe('When limiting the buffer size', function () {
+    var udpPort = Math.floor(Math.random() * 10000) + 1000;
+
+    it('should drop the newest metrics when the buffer is full', function () {
+        // Given
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort,
+            buffer: {maxLines: 2, overflowPolicy: 'dropNewest'}
+        }, logger);
+
+        var droppedSpy = sinon.spy();
+        victim.on('dropped', droppedSpy);
+
+        // When
+        victim.put('first', 1, {timestamp: 1471519331});
+        victim.put('second', 2, {timestamp: 1471519331});
+        victim.put('third', 3, {timestamp: 1471519331});
+
+        // Then
+        expect(victim.nonAggregatedBuffer.buffer).to.be.equal('application.first 1 1471519331\napplication.second 2 1471519331');
+        expect(victim.nonAggregatedBuffer.bufferSize).to.be.equal(2);
+        expect(victim.droppedLines).to.be.equal(1);
+        expect(droppedSpy.calledWith({reason: 'bufferOverflow', count: 1})).to.be.true;
+    });
+
+    it('should drop the oldest metrics when the buffer is full', function () {
+        // Given
+        var line = 'application.first 1 1471519331';
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort,
+            buffer: {maxBytes: (line.length + 1) * 2, overflowPolicy: 'dropOldest'}
+        }, logger);
+
+        // When
+        victim.put('first', 1, {timestamp: 1471519331});
+        victim.put('secnd', 2, {timestamp: 1471519331});
+        victim.put('third', 3, {timestamp: 1471519331});
+
+        // Then
+        expect(victim.nonAggregatedBuffer.buffer).to.be.equal('application.secnd 2 1471519331\napplication.third 3 1471519331');
+        expect(victim.nonAggregatedBuffer.bufferSize).to.be.equal(2);
+        expect(victim.nonAggregatedBuffer.bufferBytes).to.be.equal((line.length + 1) * 2);
+        expect(victim.droppedLines).to.be.equal(1);
+    });
+
+    it('should drop the oldest metrics whichever aggregation they have', function () {
+        // Given
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: {
+                token: 'my-token'
+            },
+            buffer: {maxLines: 2, overflowPolicy: 'dropOldest'}
+        }, logger);
+
+        var droppedSpy = sinon.spy();
+        victim.on('dropped', droppedSpy);
+
+        // When
+        victim.put('first', 1, {timestamp: 1471519331});
+        victim.aggregatedPut('second', 2, 'avg', 60, {timestamp: 1471519331});
+        victim.aggregatedPut('third', 3, 'sum', 10, {timestamp: 1471519331});
+        victim.aggregatedPut('fourth', 4, 'sum', 10, {timestamp: 1471519331});
+
+        // Then
+        expect(victim.nonAggregatedBuffer.buffer).to.be.equal('');
+        expect(victim.nonAggregatedBuffer.bufferSize).to.be.equal(0);
+        expect(victim.aggregatedBuffer.avg[60].buffer).to.be.equal('');
+        expect(victim.aggregatedBuffer.sum[10].buffer).to.be.equal('application.third 3 1471519331\napplication.fourth 4 1471519331');
+        expect(victim.aggregatedBuffer.bufferSize).to.be.equal(2);
+        expect(victim.droppedLines).to.be.equal(2);
+        expect(droppedSpy.callCount).to.be.equal(2);
+    });
+
+    it('should flush the buffer when it is full by default', function (done) {
+        // Given
+        udpServer.start(udpPort, '127.0.0.1', null, onResponse);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort,
+            buffer: {maxLines: 2}
+        }, logger);
+
+        // When
+        victim.put('first', 1, {timestamp: 1471519331});
+        victim.put('second', 2, {timestamp: 1471519331});
+        victim.put('third', 3, {timestamp: 1471519331});
+
+        // Then
+        expect(victim.nonAggregatedBuffer.buffer).to.be.equal('application.third 3 1471519331');
+        expect(victim.droppedLines).to.be.equal(0);
+
+        function onResponse(lines) {
+            udpServer.stop();
+
+            expect(lines.toString()).to.be.equal('application.first 1 1471519331\napplication.second 2 1471519331');
+            done();
+        }
+    });
+
+    it('should report the dropped lines through the system stats', function () {
+        // Given
+        var victim = new Client({
+            transport: 'udp',
+            port: udpPort,
+            buffer: {maxBytes: 200, overflowPolicy: 'dropNewest'}
+        }, logger);
+
+        victim.put('first', 1, {timestamp: 1471519331});
+        victim.put('second', 2, {tags: {description: new Array(200).join('a')}});
+
+        // When
+        victim.flush();
+
+        // Then
+        expect(victim.droppedLines).to.be.equal(0);
+        expect(victim.nonAggregatedBuffer.buffer).to.match(new RegExp(
+            '^application\\.buffer\\.flush_length,buffer-type=non-aggregated 1 \\d+ avg,10\\n' +
+            'application\\.buffer\\.dropped_lines 1 \\d+ sum,10$'));
+    });
+
+    it('should not flush again when the system stats of a flush fill the buffer', function () {
+        // Given
+        var transport = memoryTransport.create(),
+            victim = new Client({
+                flushInterval: 60000,
+                transport: transport,
+                buffer: {maxLines: 3}
+            }, logger);
+
+        // When
+        for (var i = 1; i <= 5; i++) {
+            victim.put('metric_' + i, i, {timestamp: 1471519331});
+        }
+
+        // Then
+        expect(transport.sent.length).to.be.equal(1);
+        expect(transport.sent[0].payload).to.be.equal(
+            'application.metric_1 1 1471519331\napplication.metric_2 2 1471519331\napplication.metric_3 3 1471519331');
+        expect(victim.nonAggregatedBuffer.buffer).to.match(new RegExp(
+            '^application\\.buffer\\.flush_length,buffer-type=non-aggregated 3 \\d+ avg,10\\n' +
+            'application\\.metric_4 4 1471519331\\napplication\\.metric_5 5 1471519331$'));
+
+        victim.close(function () {});
+    });
+
+    it('should not flush again when the system stats of a flush reach the flush size', function () {
+        // Given
+        var transport = memoryTransport.create(),
+            victim = new Client({
+                flushInterval: 60000,
+                flushSize: 1,
+                transport: transport
+            }, logger);
+
+        // When
+        victim.put('first', 1, {timestamp: 1471519331});
+        victim.put('second', 2, {timestamp: 1471519331});
+
+        // Then
+        expect(transport.sent.length).to.be.equal(2);
+        expect(transport.sent[0].payload).to.be.equal('application.first 1 1471519331');
+        expect(transport.sent[1].payload).to.match(/^application\.buffer\.flush_length,buffer-type=non-aggregated 1 \d+ avg,10\napplication\.second 2 1471519331$/);
+
+        victim.close(function () {});
+    });
+
+    it('should drop metrics bigger than the buffer', function () {
+        // Given
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort,
+            buffer: {maxBytes: 10}
+        }, logger);
+
+        // When
+        victim.put('my_metric', 1);
+
+        // Then
+        expect(victim.nonAggregatedBuffer.bufferSize).to.be.equal(0);
+        expect(victim.droppedLines).to.be.equal(1);
+    });
+
+    it('should throw when buffer configuration is invalid', function () {
+        var conf = {
+            systemStats: false,
+            transport: 'udp',
+            buffer: {overflowPolicy: 'block'}
+        };
+
+        expect(Client.bind(Client, conf, logger)).to.throw('Buffer configuration is invalid, please read the documentation');
+        expect(bufferHelper.buildBufferConfig.bind(null, {maxBytes: -1})).to.throw('Buffer configuration is invalid, please read the documentation');
+    });
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+var CircuitBreaker = require('../lib/transports/circuit-breaker');
+
+var httpsServer = require('./tools/https-server');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+describe('When using the API circuit breaker', function () {
+    var httpPort = Math.floor(Math.random() * 20000) + 10001;
+
+    it('should open after the consecutive failures and probe once the reset timeout elapses', function () {
+        // Given
+        var clock = sinon.useFakeTimers(),
+            states = [];
+
+        var victim = new CircuitBreaker({failureThreshold: 2, resetTimeout: 1000});
+        victim.on('stateChange', function (event) {
+            states.push(event);
+        });
+
+        // When
+        victim.onFailure();
+        victim.onSuccess();
+        victim.onFailure();
+        victim.onFailure();
+
+        // Then
+        expect(victim.isRequestAllowed()).to.be.false;
+
+        clock.tick(1000);
+        expect(victim.isRequestAllowed()).to.be.true;
+        expect(victim.isRequestAllowed()).to.be.false;
+
+        victim.onFailure();
+        expect(victim.isRequestAllowed()).to.be.false;
+
+        clock.tick(1000);
+        expect(victim.isRequestAllowed()).to.be.true;
+        victim.onSuccess();
+        expect(victim.isRequestAllowed()).to.be.true;
+
+        clock.restore();
+
+        expect(states).to.deep.equal([
+            {state: 'open', failures: 2},
+            {state: 'halfOpen', failures: 2},
+            {state: 'open', failures: 3},
+            {state: 'halfOpen', failures: 3},
+            {state: 'closed', failures: 0}
+        ]);
+    });
+
+    it('should stop sending while open and emit its state changes as events and metrics', function (done) {
+        // Given
+        var requests = 0,
+            events = [];
+        httpsServer.start(httpPort, '127.0.0.1', function () {
+            requests++;
+        }, [500, 500, 201]);
+
+        var victim = new Client({
+            systemStats: false,
+            flushInterval: 60000,
+            transport: 'api',
+            api: {
+                host: '127.0.0.1',
+                port: httpPort,
+                token: 'my-token',
+                circuitBreaker: {failureThreshold: 2, resetTimeout: 50}
+            }
+        }, logger);
+
+        victim.on('circuitBreaker', function (event) {
+            events.push(event.state);
+        });
+
+        function flushMetric(callback) {
+            victim.put('my_metric', 1);
+            victim.flush(callback);
+        }
+
+        // When
+        flushMetric(function () {
+            flushMetric(function () {
+                flushMetric(function (error) {
+                    expect(error.results[0].error.code).to.be.equal('ECIRCUITOPEN');
+                    expect(requests).to.be.equal(2);
+                    victim.systemStats = true;
+
+                    setTimeout(function () {
+                        flushMetric(function (error) {
+                            // Then
+                            httpsServer.stop();
+
+                            expect(error).to.be.null;
+                            expect(requests).to.be.equal(3);
+                            expect(events).to.deep.equal(['open', 'halfOpen', 'closed']);
+
+                            process.nextTick(function () {
+                                expect(victim.nonAggregatedBuffer.buffer).to.match(new RegExp(
+                                    '^application\\.buffer\\.flush_length,buffer-type=non-aggregated 2 \\d+ avg,10\\n' +
+                                    'application\\.circuit_breaker\\.state_changes,transport=api,state=halfOpen 1 \\d+ sum,10\\n' +
+                                    'application\\.circuit_breaker\\.state_changes,transport=api,state=closed 1 \\d+ sum,10$'));
+                                done();
+                            });
+                        });
+                    }, 60);
+                });
+            });
+        });
+    });
+
+    it('should throw when the circuit breaker configuration is invalid', function () {
+        var conf = {
+            systemStats: false,
+            transport: 'api',
+            api: {token: 'my-token', circuitBreaker: {failureThreshold: 0}}
+        };
+
+        expect(Client.bind(Client, conf, logger)).to.throw('Circuit breaker configuration is invalid, please read the documentation');
+        expect(new CircuitBreaker(true).failureThreshold).to.be.equal(5);
+    });
+});
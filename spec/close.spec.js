@@ -0,0 +1,315 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+
+var udpServer = require('./tools/udp-server');
+var httpsServer = require('./tools/https-server');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+describe('When closing the client', function () {
+    var httpPort = Math.floor(Math.random() * 20000) + 10001;
+    var udpPort = Math.floor(Math.random() * 10000) + 1000;
+    var apiConf = {
+        host: '127.0.0.1',
+        port: httpPort,
+        token: 'my-token'
+    };
+
+    it('should flush the buffered metrics and wait for the requests to finish', function (done) {
+        // Given
+        var received = [];
+        httpsServer.start(httpPort, '127.0.0.1', onResponse);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: apiConf
+        }, logger);
+
+        victim.put('my_metric', 1);
+        victim.aggregatedPut('my_metric', 2, 'avg', 60);
+
+        // When
+        victim.close(function (error) {
+            // Then
+            httpsServer.stop();
+
+            expect(error).to.be.null;
+            expect(received.length).to.be.equal(2);
+            expect(victim.inFlight).to.be.equal(0);
+            done();
+        });
+
+        function onResponse(lines) {
+            received.push(lines);
+        }
+    });
+
+    it('should flush the buffered metrics through UDP before closing the socket', function (done) {
+        // Given
+        var received;
+        udpServer.start(udpPort, '127.0.0.1', null, function (lines) {
+            received = lines.toString();
+        });
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort
+        }, logger);
+
+        victim.put('my_metric', 1);
+
+        // When
+        victim.close().then(function () {
+            // Then
+            setTimeout(function () {
+                udpServer.stop();
+
+                expect(received).to.match(/^application.my_metric 1 \d+$/);
+                done();
+            }, 50);
+        });
+    });
+
+    it('should flush the open local aggregation windows', function (done) {
+        // Given
+        var requests = {};
+        httpsServer.start(httpPort, '127.0.0.1', function (lines, url) {
+            requests[url] = lines;
+        });
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: apiConf,
+            localAggregation: true
+        }, logger);
+
+        victim.gauge('my_metric', 3);
+
+        // When
+        victim.close().then(function () {
+            // Then
+            httpsServer.stop();
+
+            expect(requests['/tel/v2.0/metrics/aggregation/last/frequency/10']).to.match(/^application.gauge.my_metric 3 \d+$/);
+            done();
+        });
+    });
+
+    it('should stop accepting metrics', function (done) {
+        // Given
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort
+        }, logger);
+
+        var warnSpy = sinon.spy(victim.logger, 'warn');
+
+        // When
+        victim.close(function () {
+            victim.counter('my_metric', 1);
+
+            // Then
+            warnSpy.restore();
+
+            expect(victim.nonAggregatedBuffer.bufferSize).to.be.equal(0);
+            expect(warnSpy.lastCall.args[0]).to.be.equal('Metric not sent. The client is closed.');
+            done();
+        });
+    });
+
+    it('should stop the flush and blocked timers', function (done) {
+        // Given
+        var clearIntervalSpy = sinon.spy(global, 'clearInterval');
+
+        var victim = new Client({
+            transport: 'udp',
+            port: udpPort
+        }, logger);
+
+        // When
+        victim.close(function () {
+            // Then
+            clearIntervalSpy.restore();
+
+            expect(clearIntervalSpy.calledWith(victim.flushTimer)).to.be.true;
+            expect(clearIntervalSpy.calledWith(victim.blockedMonitor)).to.be.true;
+            done();
+        });
+    });
+
+    it('should fail when the in-flight requests take longer than the close timeout', function (done) {
+        // Given
+        httpsServer.start(httpPort, '127.0.0.1', function () {}, 500);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: {
+                host: '127.0.0.1',
+                port: httpPort,
+                token: 'my-token',
+                retry: {maxAttempts: 2, initialDelay: 1000, jitter: 0}
+            },
+            closeTimeout: 100
+        }, logger);
+
+        victim.put('my_metric', 1);
+
+        // When
+        victim.close().then(function (result) {
+            // Then
+            httpsServer.stop();
+
+            expect(result.error.message).to.be.equal('Timed out waiting for 1 in-flight flush(es) to finish');
+            done();
+        });
+    });
+
+    it('should not reject the promise when closing without waiting for it', function (done) {
+        // Given
+        var rejectionSpy = sinon.spy(),
+            closeSpy = sinon.spy();
+
+        var victim = new Client({
+            systemStats: false,
+            transport: {
+                capabilities: {aggregatedMetrics: false},
+                send: function (payload, routing, callback) {
+                    setTimeout(callback, 300);
+                },
+                close: function () {}
+            },
+            closeTimeout: 100
+        }, logger);
+
+        process.on('unhandledRejection', rejectionSpy);
+        victim.on('close', closeSpy);
+        victim.put('my_metric', 1);
+
+        // When
+        victim.close();
+
+        // Then
+        setTimeout(function () {
+            process.removeListener('unhandledRejection', rejectionSpy);
+
+            expect(rejectionSpy.called).to.be.false;
+            expect(closeSpy.firstCall.args[0].message).to.be.equal('Timed out waiting for 1 in-flight flush(es) to finish');
+            done();
+        }, 400);
+    });
+
+    it('should cancel the retries of the requests that outlive the close timeout', function (done) {
+        // Given
+        var requests = 0,
+            droppedSpy = sinon.spy();
+        httpsServer.start(httpPort, '127.0.0.1', function () {
+            requests++;
+        }, 503);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: {
+                host: '127.0.0.1',
+                port: httpPort,
+                token: 'my-token',
+                retry: {maxAttempts: 3, initialDelay: 300, jitter: 0}
+            },
+            closeTimeout: 100
+        }, logger);
+
+        victim.on('dropped', droppedSpy);
+        victim.put('my_metric', 1);
+
+        // When
+        victim.close().then(function () {
+            // Then
+            expect(droppedSpy.calledWith({reason: 'deliveryFailure', count: 1})).to.be.true;
+
+            setTimeout(function () {
+                httpsServer.stop();
+
+                expect(requests).to.be.equal(1);
+                expect(droppedSpy.callCount).to.be.equal(1);
+                done();
+            }, 400);
+        });
+    });
+
+    it('should notify every caller once closed', function (done) {
+        // Given
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort
+        }, logger);
+
+        // When
+        victim.close(function () {
+            victim.close(function (error) {
+                // Then
+                expect(error).to.be.undefined;
+                done();
+            });
+        });
+    });
+
+    it('should close the client on the configured shutdown hooks', function (done) {
+        // Given
+        var killStub = sinon.stub(process, 'kill');
+        var otherListeners = process.listeners('SIGTERM');
+        process.removeAllListeners('SIGTERM');
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort,
+            shutdownHooks: ['SIGTERM']
+        }, logger);
+
+        // When
+        process.emit('SIGTERM');
+
+        // Then
+        setTimeout(function () {
+            killStub.restore();
+            otherListeners.forEach(function (listener) {
+                process.on('SIGTERM', listener);
+            });
+
+            expect(victim.closed).to.be.true;
+            expect(killStub.calledWith(process.pid, 'SIGTERM')).to.be.true;
+            done();
+        }, 50);
+    });
+
+    it('should close the client before the process exits', function (done) {
+        // Given
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort,
+            shutdownHooks: true
+        }, logger);
+
+        // When
+        process.emit('beforeExit');
+
+        // Then
+        setTimeout(function () {
+            expect(victim.closed).to.be.true;
+            expect(victim.shutdownHooks).to.deep.equal({});
+            done();
+        }, 50);
+    });
+});
@@ -0,0 +1,175 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+
+var httpsServer = require('./tools/https-server');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+var EventEmitter = require('events').EventEmitter;
+
+describe('When listening to client events', function () {
+    var httpPort = Math.floor(Math.random() * 20000) + 10001;
+    var udpPort = Math.floor(Math.random() * 10000) + 1000;
+    var apiConf = {
+        host: '127.0.0.1',
+        port: httpPort,
+        token: 'my-token'
+    };
+
+    it('should be an event emitter', function () {
+        var victim = new Client({systemStats: false}, logger);
+
+        expect(victim).to.be.an.instanceof(EventEmitter);
+    });
+
+    it('should emit flush and sent events', function (done) {
+        // Given
+        var flushes = [];
+        httpsServer.start(httpPort, '127.0.0.1', function () {});
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: apiConf,
+            flushSize: 1
+        }, logger);
+
+        victim.on('flush', function (event) {
+            flushes.push(event);
+        });
+
+        // When
+        victim.put('my_metric', 1);
+
+        // Then
+        victim.on('sent', function (result) {
+            httpsServer.stop();
+
+            expect(flushes).to.deep.equal([{aggregated: 0, nonAggregated: 1}]);
+            expect(result.statusCode).to.be.equal(201);
+            expect(result.lines).to.be.equal(1);
+            done();
+        });
+    });
+
+    it('should emit retry, error and dropped events when a request fails', function (done) {
+        // Given
+        var retries = [];
+        httpsServer.start(httpPort, '127.0.0.1', function () {}, 500);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: {
+                host: '127.0.0.1',
+                port: httpPort,
+                token: 'my-token',
+                retry: {maxAttempts: 2, initialDelay: 10, jitter: 0}
+            },
+            flushSize: 1
+        }, logger);
+
+        var droppedSpy = sinon.spy();
+        victim.on('dropped', droppedSpy);
+        victim.on('retry', function (event) {
+            retries.push(event);
+        });
+
+        // When
+        victim.put('my_metric', 1);
+
+        // Then
+        victim.on('error', function (error, result) {
+            httpsServer.stop();
+
+            expect(error.message).to.match(/^Unable to flush metrics to https:\/\/127.0.0.1:\d+\/tel\/v2.0\/metrics after 2 attempt\(s\)$/);
+            expect(result.attempts).to.be.equal(2);
+            expect(retries).to.deep.equal([{
+                url: 'https://127.0.0.1:' + httpPort + '/tel/v2.0/metrics',
+                statusCode: 500,
+                attempt: 2,
+                delay: 10
+            }]);
+            expect(droppedSpy.calledWith({reason: 'deliveryFailure', count: 1})).to.be.true;
+            done();
+        });
+    });
+
+    it('should not throw on failed requests when no one listens to errors', function (done) {
+        // Given
+        httpsServer.start(httpPort, '127.0.0.1', function () {}, 500);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: apiConf
+        }, logger);
+
+        victim.put('my_metric', 1);
+
+        // When
+        victim.flush(function (error) {
+            // Then
+            httpsServer.stop();
+
+            expect(error.message).to.be.equal('1 of 1 flush request(s) failed');
+            done();
+        });
+    });
+
+    it('should emit dropped events with the reason', function () {
+        // Given
+        var randomStub = sinon.stub(Math, 'random').returns(0.9);
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort,
+            sampleRate: 50
+        }, logger);
+
+        var droppedSpy = sinon.spy();
+        victim.on('dropped', droppedSpy);
+
+        // When
+        victim.put('sampled', 1);
+        randomStub.restore();
+        victim.put('invalid_value', NaN);
+        victim.put('invalid_aggregation', 1, {agg: ['median']});
+        victim.aggregatedPut('aggregated', 1, 'avg', 60);
+        victim.flush();
+
+        // Then
+        expect(droppedSpy.args).to.deep.equal([
+            [{reason: 'sampleRate', count: 1, name: 'application.sampled'}],
+            [{reason: 'invalidArguments', count: 1, name: 'invalid_value'}],
+            [{reason: 'invalidArguments', count: 1, name: 'invalid_aggregation'}],
+            [{reason: 'aggregationNotSupported', count: 1}]
+        ]);
+    });
+
+    it('should emit dropped events for metrics sent after closing', function (done) {
+        // Given
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort
+        }, logger);
+
+        victim.on('close', function () {
+            victim.on('dropped', function (event) {
+                // Then
+                expect(event).to.deep.equal({reason: 'closed', count: 1, name: 'counter.my_metric'});
+                done();
+            });
+
+            // When
+            victim.counter('my_metric', 1);
+        });
+
+        victim.close();
+    });
+});
@@ -0,0 +1,227 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+var filterHelper = require('../lib/filter-helper');
+
+var memoryTransport = require('./tools/memory-transport');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+describe('When sending metrics to multiple destinations', function () {
+
+    function buildTransport(name, capabilities, error) {
+        return memoryTransport.create({name: name, capabilities: capabilities, error: error});
+    }
+
+    it('should deliver every flushed batch to all the destinations', function (done) {
+        // Given
+        var relay = buildTransport('relay', {aggregatedMetrics: false}),
+            api = buildTransport('api', {aggregatedMetrics: true});
+
+        var victim = new Client({
+            systemStats: false,
+            transports: [
+                {transport: relay},
+                {transport: api}
+            ]
+        }, logger);
+
+        var droppedSpy = sinon.spy();
+        victim.on('dropped', droppedSpy);
+
+        victim.put('my_metric', 1, {timestamp: 1471519331});
+        victim.aggregatedPut('my_metric', 2, 'avg', 60, {timestamp: 1471519331});
+
+        // When
+        victim.flush(function (error, results) {
+            // Then
+            expect(error).to.be.null;
+            expect(results.map(function (result) {
+                return result.url;
+            })).to.deep.equal(['relay', 'api', 'api']);
+            expect(relay.sent).to.deep.equal([
+                {payload: 'application.my_metric 1 1471519331', routing: null}
+            ]);
+            expect(api.sent).to.deep.equal([
+                {payload: 'application.my_metric 1 1471519331', routing: null},
+                {payload: 'application.my_metric 2 1471519331', routing: {agg: 'avg', aggFreq: 60}}
+            ]);
+            expect(droppedSpy.calledWith({reason: 'aggregationNotSupported', count: 1})).to.be.true;
+            done();
+        });
+    });
+
+    it('should only deliver the metrics that pass the filters of each destination', function () {
+        // Given
+        var relay = buildTransport('relay', {aggregatedMetrics: true}),
+            api = buildTransport('api', {aggregatedMetrics: true});
+
+        var victim = new Client({
+            systemStats: false,
+            transports: [
+                {transport: relay, filter: {include: ['application.http.'], aggregated: false}},
+                {transport: api, filter: {exclude: [/\.debug$/]}}
+            ]
+        }, logger);
+
+        victim.put('http.requests', 1, {timestamp: 1471519331});
+        victim.put('http.debug', 2, {timestamp: 1471519331, tags: {host: 'a'}});
+        victim.put('jobs', 3, {timestamp: 1471519331});
+        victim.aggregatedPut('http.requests', 4, 'sum', 10, {timestamp: 1471519331});
+
+        // When
+        victim.flush();
+
+        // Then
+        expect(relay.sent).to.deep.equal([
+            {payload: 'application.http.requests 1 1471519331\napplication.http.debug,host=a 2 1471519331', routing: null}
+        ]);
+        expect(api.sent).to.deep.equal([
+            {payload: 'application.http.requests 1 1471519331\napplication.jobs 3 1471519331', routing: null},
+            {payload: 'application.http.requests 4 1471519331', routing: {agg: 'sum', aggFreq: 10}}
+        ]);
+    });
+
+    it('should handle the failures of each destination independently', function (done) {
+        // Given
+        var relay = buildTransport('relay', {aggregatedMetrics: false}, new Error('Unable to flush metrics to relay')),
+            api = buildTransport('api', {aggregatedMetrics: true});
+        var errorStub = sinon.stub(logger, 'error');
+
+        var victim = new Client({
+            systemStats: false,
+            transports: [
+                {transport: relay},
+                {transport: api}
+            ]
+        }, logger);
+
+        var sentSpy = sinon.spy();
+        victim.on('sent', sentSpy);
+
+        victim.put('my_metric', 1);
+
+        // When
+        victim.flush(function (error, results) {
+            // Then
+            errorStub.restore();
+
+            expect(error.message).to.be.equal('1 of 2 flush request(s) failed');
+            expect(results[0].error.message).to.be.equal('Unable to flush metrics to relay');
+            expect(results[1].error).to.be.undefined;
+            expect(sentSpy.calledOnce).to.be.true;
+            expect(api.sent.length).to.be.equal(1);
+            done();
+        });
+    });
+
+    it('should inherit the client configuration in each destination', function () {
+        // Given
+        var victim = new Client({
+            systemStats: false,
+            host: '127.0.0.1',
+            port: 2013,
+            api: {token: 'my-token'},
+            transports: [
+                {transport: 'udp'},
+                {transport: 'api', api: {token: 'my-token', host: '127.0.0.1', port: 8443}}
+            ]
+        }, logger);
+
+        // Then
+        expect(victim.destinations[0].transport.url).to.be.equal('udp://127.0.0.1:2013');
+        expect(victim.destinations[1].transport.url).to.be.equal('https://127.0.0.1:8443/tel/v2.0/metrics');
+        expect(victim.transportInstance).to.be.equal(victim.destinations[0].transport);
+        expect(victim.transport).to.be.equal('udp');
+
+        victim.close();
+    });
+
+    it('should only spool the metrics of the destinations with the api transport', function () {
+        // Given
+        var spoolPath = path.join(os.tmpdir(), 'statful-fanout-spool-' + process.pid);
+
+        var victim = new Client({
+            systemStats: false,
+            api: {token: 'my-token', host: '127.0.0.1', port: 8443, spool: {path: spoolPath}},
+            transports: [
+                {transport: 'udp'},
+                {transport: 'api'}
+            ]
+        }, logger);
+
+        // Then
+        expect(victim.destinations[0].spool).to.be.null;
+        expect(victim.destinations[1].spool.path).to.be.equal(spoolPath);
+
+        victim.close();
+        fs.rmdirSync(spoolPath);
+    });
+
+    it('should throw when several destinations share a spool path', function () {
+        var conf = {
+            systemStats: false,
+            transports: [
+                {transport: 'api', api: {token: 'my-token', host: 'eu.statful.com', spool: {path: './shared-spool'}}},
+                {transport: 'api', api: {token: 'my-token', host: 'us.statful.com', spool: {path: 'shared-spool'}}}
+            ]
+        };
+
+        expect(Client.bind(Client, conf, logger)).to.throw('Spool path is shared by several destinations, please read the documentation');
+        expect(fs.existsSync('shared-spool')).to.be.false;
+    });
+
+    it('should allow local aggregation if any destination supports aggregated metrics', function () {
+        var conf = {
+            systemStats: false,
+            localAggregation: true,
+            transports: [
+                {transport: buildTransport('relay', {aggregatedMetrics: false})},
+                {transport: buildTransport('api', {aggregatedMetrics: true})}
+            ]
+        };
+
+        expect(Client.bind(Client, conf, logger)).to.not.throw();
+    });
+
+    it('should close every transport when the client is closed', function (done) {
+        // Given
+        var relay = buildTransport('relay', {aggregatedMetrics: false}),
+            api = buildTransport('api', {aggregatedMetrics: true});
+
+        var victim = new Client({
+            systemStats: false,
+            transports: [
+                {transport: relay},
+                {transport: api}
+            ]
+        }, logger);
+
+        // When
+        victim.close(function () {
+            // Then
+            expect(relay.close.calledOnce).to.be.true;
+            expect(api.close.calledOnce).to.be.true;
+            done();
+        });
+    });
+
+    it('should throw when the transports or their filters are invalid', function () {
+        var transport = buildTransport('relay', {aggregatedMetrics: false});
+
+        expect(Client.bind(Client, {transports: []}, logger)).to.throw('Transports configuration is invalid, please read the documentation');
+        expect(Client.bind(Client, {transports: transport}, logger)).to.throw('Transports configuration is invalid, please read the documentation');
+        expect(Client.bind(Client, {transports: [{transport: transport, filter: {include: 'http'}}]}, logger))
+            .to.throw('Transport filter is invalid, please read the documentation');
+        expect(Client.bind(Client, {transports: [{transport: transport, filter: {aggregated: 'no'}}]}, logger))
+            .to.throw('Transport filter is invalid, please read the documentation');
+        expect(filterHelper.buildFilter(undefined)).to.be.null;
+    });
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+
+var udpServer = require('./tools/udp-server');
+var httpsServer = require('./tools/https-server');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+
+describe('When flushing metrics on demand', function () {
+    var httpPort = Math.floor(Math.random() * 20000) + 10001;
+    var udpPort = Math.floor(Math.random() * 10000) + 1000;
+    var apiConf = {
+        host: '127.0.0.1',
+        port: httpPort,
+        token: 'my-token'
+    };
+
+    it('should resolve with the delivery results of each request', function (done) {
+        // Given
+        httpsServer.start(httpPort, '127.0.0.1', function () {});
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: apiConf
+        }, logger);
+
+        victim.put('my_metric', 1, {timestamp: 1471519331});
+        victim.put('my_metric', 2, {timestamp: 1471519331});
+        victim.aggregatedPut('my_metric', 3, 'avg', 60);
+
+        // When
+        victim.flush().then(function (results) {
+            // Then
+            httpsServer.stop();
+
+            expect(results.length).to.be.equal(2);
+            expect(results[0]).to.deep.equal({
+                url: 'https://127.0.0.1:' + httpPort + '/tel/v2.0/metrics',
+                statusCode: 201,
+                lines: 2,
+                bytes: 69,
+                compressed: false,
+                attempts: 1
+            });
+            expect(results[1].url).to.be.equal('https://127.0.0.1:' + httpPort + '/tel/v2.0/metrics/aggregation/avg/frequency/60');
+            expect(results[1].lines).to.be.equal(1);
+            done();
+        }).catch(done);
+    });
+
+    it('should report the compressed size of compressed requests', function (done) {
+        // Given
+        httpsServer.start(httpPort, '127.0.0.1', function () {}, 201, true);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: apiConf,
+            compression: true
+        }, logger);
+
+        for (var i = 0; i < 100; i++) {
+            victim.put('my_metric', i, {timestamp: 1471519331});
+        }
+
+        // When
+        victim.flush(function (error, results) {
+            // Then
+            httpsServer.stop();
+
+            expect(error).to.be.null;
+            expect(results[0].compressed).to.be.true;
+            expect(results[0].lines).to.be.equal(100);
+            expect(results[0].bytes).to.be.above(0);
+            expect(results[0].bytes).to.be.below(100 * 'application.my_metric 10 1471519331'.length / 2);
+            done();
+        });
+    });
+
+    it('should reject with the delivery results when a request fails', function (done) {
+        // Given
+        httpsServer.start(httpPort, '127.0.0.1', function () {}, 500);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: apiConf
+        }, logger);
+
+        victim.put('my_metric', 1);
+
+        // When
+        victim.flush().catch(function (error) {
+            // Then
+            httpsServer.stop();
+
+            expect(error.message).to.be.equal('1 of 1 flush request(s) failed');
+            expect(error.results[0].statusCode).to.be.equal(500);
+            expect(error.results[0].error.message).to.match(/^Unable to flush metrics to https:\/\/127.0.0.1:\d+\/tel\/v2.0\/metrics after 1 attempt\(s\)$/);
+            done();
+        });
+    });
+
+    it('should report the delivery results of UDP flushes', function (done) {
+        // Given
+        udpServer.start(udpPort, '127.0.0.1', null, function () {});
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort
+        }, logger);
+
+        victim.put('my_metric', 1, {timestamp: 1471519331});
+        victim.put('my_metric', 2, {timestamp: 1471519331});
+
+        // When
+        victim.flush(function (error, results) {
+            // Then
+            udpServer.stop();
+
+            expect(error).to.be.null;
+            expect(results).to.deep.equal([{
+                url: 'udp://127.0.0.1:' + udpPort,
+                statusCode: null,
+                lines: 2,
+                bytes: 69,
+                compressed: false,
+                attempts: 1
+            }]);
+            done();
+        });
+    });
+
+    it('should resolve with no results when there is nothing to flush', function (done) {
+        // Given
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort
+        }, logger);
+
+        // When
+        victim.flush().then(function (results) {
+            // Then
+            expect(results).to.deep.equal([]);
+            done();
+        }).catch(done);
+    });
+});
@@ -1,14 +1,17 @@
 'use strict';
 
 /*jshint -W003 */
+/*global Promise */
 
 var Client = require('../lib/client');
 
 var udpServer = require('./tools/udp-server');
 var httpsServer = require('./tools/https-server');
+var memoryTransport = require('./tools/memory-transport');
 var logger = require('bunyan').createLogger({name: 'tests'});
 
 var expect = require('chai').expect;
+var sinon = require('sinon');
 
 describe('When sending gauge metrics', function () {
     var httpPort = Math.floor(Math.random() * 20000) + 10001;
@@ -302,4 +305,151 @@ describe('When sending gauge metrics', function () {
             done();
         }
     });
-});
\ No newline at end of file
+
+    describe('with observable gauges', function () {
+        var client, transport;
+
+        beforeEach(function () {
+            transport = memoryTransport.create();
+            client = new Client({
+                systemStats: false,
+                flushInterval: 60000,
+                transport: transport
+            }, logger);
+        });
+
+        afterEach(function (done) {
+            client.close(function () {
+                done();
+            });
+        });
+
+        it('should sample the values of the gauge on every flush', function () {
+            // Given
+            var depth = 3;
+
+            client.registerGauge('queue_depth', function () {
+                return depth;
+            }, {tags: {queue: 'emails'}, agg: ['max']});
+
+            client.registerGauge('pool_size', function () {
+                return [{value: 10, tags: {pool: 'read'}}, {value: 2, tags: {pool: 'write'}}];
+            });
+
+            // When
+            client.flush();
+            depth = 5;
+            client.flush();
+
+            // Then
+            expect(transport.sent[0].payload).to.match(/^application\.gauge\.queue_depth,queue=emails 3 \d+ last,max,10\n/);
+            expect(transport.sent[0].payload).to.match(/\napplication\.gauge\.pool_size,pool=read 10 \d+ last,10\napplication\.gauge\.pool_size,pool=write 2 \d+ last,10$/);
+            expect(transport.sent[1].payload).to.match(/^application\.gauge\.queue_depth,queue=emails 5 /);
+        });
+
+        it('should sample asynchronous values', function (done) {
+            // Given
+            client.registerGauge('from_promise', function () {
+                return Promise.resolve(1);
+            });
+            client.registerGauge('from_callback', function (callback) {
+                setImmediate(function () {
+                    callback(null, 2);
+                });
+            });
+            client.registerGauge('with_error', function (callback) {
+                callback(new Error('Unavailable'));
+            });
+
+            // When
+            client.flush();
+
+            // Then
+            setTimeout(function () {
+                expect(client.nonAggregatedBuffer.buffer).to.match(/^application\.gauge\.from_promise 1 \d+ last,10\napplication\.gauge\.from_callback 2 \d+ last,10$/);
+                done();
+            }, 10);
+        });
+
+        it('should sample gauges with their own interval only on that interval', function () {
+            // Given
+            var clock = sinon.useFakeTimers(),
+                callback = sinon.stub().returns(7);
+
+            client.registerGauge('pool_size', callback, {interval: 1000});
+
+            // When
+            client.flush();
+            clock.tick(2000);
+            clock.restore();
+
+            // Then
+            expect(callback.calledTwice).to.be.true;
+            expect(client.nonAggregatedBuffer.bufferSize).to.be.equal(2);
+        });
+
+        it('should sample gauges once per flush interval by default', function (done) {
+            // Given
+            var clock = sinon.useFakeTimers(),
+                callback = sinon.stub().returns(1),
+                victim = new Client({
+                    systemStats: false,
+                    transport: transport
+                }, logger);
+
+            victim.registerGauge('pool_size', callback);
+
+            // When
+            clock.tick(2999);
+            var samplesBeforeFlush = callback.callCount;
+            clock.tick(1);
+            clock.restore();
+
+            // Then
+            expect(samplesBeforeFlush).to.be.equal(0);
+            expect(callback.calledOnce).to.be.true;
+            expect(transport.sent.length).to.be.equal(1);
+            victim.close(function () {
+                done();
+            });
+        });
+
+        it('should stop sampling unregistered gauges', function () {
+            // Given
+            var callback = sinon.stub().returns(1);
+            client.registerGauge('pool_size', callback);
+
+            // When
+            var unregistered = client.unregisterGauge('pool_size');
+            client.flush();
+
+            // Then
+            expect(unregistered).to.be.true;
+            expect(client.unregisterGauge('pool_size')).to.be.false;
+            expect(callback.called).to.be.false;
+            expect(transport.sent).to.deep.equal([]);
+        });
+
+        it('should not register invalid gauges nor put the values of failed samples', function () {
+            // Given
+            var warnStub = sinon.stub(logger, 'warn');
+
+            client.registerGauge('no_callback', 1);
+            client.registerGauge('invalid_interval', function () {
+                return 1;
+            }, {interval: -1});
+            client.registerGauge('throwing', function () {
+                throw new Error('Unavailable');
+            });
+
+            // When
+            client.flush();
+            warnStub.restore();
+
+            // Then
+            expect(Object.keys(client.observableGauges)).to.deep.equal(['throwing']);
+            expect(warnStub.lastCall.args[0]).to.be.equal('Gauge throwing was not sampled: Error: Unavailable');
+            expect(transport.sent).to.deep.equal([]);
+        });
+    });
+});
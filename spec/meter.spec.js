@@ -0,0 +1,157 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+var Meter = require('../lib/meter');
+
+var memoryTransport = require('./tools/memory-transport');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+describe('When sending meter metrics', function () {
+    var clock, transport;
+
+    function buildClient(meters) {
+        return new Client({
+            systemStats: false,
+            flushInterval: 600000,
+            meters: meters,
+            transport: transport
+        }, logger);
+    }
+
+    beforeEach(function () {
+        transport = memoryTransport.create();
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(function () {
+        clock.restore();
+    });
+
+    it('should compute the mean rate and the moving averages per second', function () {
+        // Given
+        var victim = new Meter();
+
+        // When
+        victim.mark(300);
+        clock.tick(5000);
+        var firstRates = victim.getRates();
+
+        clock.tick(60000);
+        var secondRates = victim.getRates();
+
+        // Then
+        expect(firstRates).to.deep.equal({mean_rate: 60, m1_rate: 60, m5_rate: 60, m15_rate: 60});
+        expect(secondRates.mean_rate).to.be.closeTo(300 / 65, 1e-9);
+        expect(secondRates.m1_rate).to.be.closeTo(60 * Math.exp(-1), 1e-9);
+        expect(secondRates.m5_rate).to.be.closeTo(60 * Math.exp(-1 / 5), 1e-9);
+        expect(secondRates.m15_rate).to.be.closeTo(60 * Math.exp(-1 / 15), 1e-9);
+    });
+
+    it('should send the rates as gauges on every flush', function (done) {
+        // Given
+        var victim = buildClient();
+
+        victim.meter('requests');
+        victim.meter('requests', 2);
+
+        // When
+        clock.tick(5000);
+        victim.flush();
+
+        // Then
+        expect(transport.sent[0].payload).to.match(new RegExp(
+            '^application\\.meter\\.requests\\.mean_rate 0\\.6 \\d+ last,10\\n' +
+            'application\\.meter\\.requests\\.m1_rate 0\\.6 \\d+ last,10\\n' +
+            'application\\.meter\\.requests\\.m5_rate 0\\.6 \\d+ last,10\\n' +
+            'application\\.meter\\.requests\\.m15_rate 0\\.6 \\d+ last,10$'));
+
+        victim.close(function () {
+            expect(transport.sent[1].payload).to.match(/^application\.meter\.requests\.mean_rate 0\.6 /);
+            done();
+        });
+    });
+
+    it('should send the rates once per flush interval by default', function (done) {
+        // Given
+        var victim = new Client({
+            systemStats: false,
+            meters: {},
+            transport: transport
+        }, logger);
+
+        victim.meter('requests');
+
+        // When
+        clock.tick(2999);
+        var sentBeforeFlush = transport.sent.length;
+        clock.tick(3001);
+
+        // Then
+        expect(sentBeforeFlush).to.be.equal(0);
+        expect(transport.sent.length).to.be.equal(2);
+        expect(transport.sent[0].payload.split('\n').length).to.be.equal(4);
+
+        victim.close(function () {
+            done();
+        });
+    });
+
+    it('should name and tag the rates with the configured prefix and tags', function (done) {
+        // Given
+        var victim = buildClient({prefix: 'rates', tags: {source: 'meter'}});
+
+        // When
+        victim.meter('requests', 10, {tags: {route: 'home'}, agg: ['max'], namespace: 'web'});
+        clock.tick(10000);
+        victim.flush();
+
+        // Then
+        expect(transport.sent[0].payload.split('\n')[0]).to.match(/^web\.rates\.requests\.mean_rate,route=home,source=meter 1 \d+ last,max,10$/);
+        expect(transport.sent[0].payload.split('\n')[1]).to.match(/^web\.rates\.requests\.m1_rate,route=home,source=meter [\d.]+ /);
+
+        victim.close(function () {
+            done();
+        });
+    });
+
+    it('should drop invalid counts', function (done) {
+        // Given
+        var victim = buildClient(),
+            dropped = [];
+
+        victim.on('dropped', function (event) {
+            dropped.push(event);
+        });
+
+        // When
+        victim.meter('requests', -1);
+        victim.meter('requests', 'many');
+        victim.flush();
+
+        // Then
+        expect(transport.sent).to.be.empty;
+        expect(dropped).to.deep.equal([
+            {reason: 'invalidArguments', count: 1, name: 'meter.requests'},
+            {reason: 'invalidArguments', count: 1, name: 'meter.requests'}
+        ]);
+
+        victim.close(function () {
+            done();
+        });
+    });
+
+    it('should throw when the meters configuration is invalid', function () {
+        var conf = {
+            systemStats: false,
+            transport: 'udp',
+            meters: {prefix: ''}
+        };
+
+        expect(Client.bind(Client, conf, logger)).to.throw('Meters configuration is invalid, please read the documentation');
+    });
+});
@@ -0,0 +1,193 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+var retryHelper = require('../lib/retry-helper');
+
+var httpsServer = require('./tools/https-server');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+describe('When retrying failed flushes', function () {
+    var httpPort = Math.floor(Math.random() * 20000) + 10001;
+
+    function buildApiConf(retry) {
+        return {
+            host: '127.0.0.1',
+            port: httpPort,
+            token: 'my-token',
+            retry: retry
+        };
+    }
+
+    it('should retry non aggregated metrics after a server error', function (done) {
+        // Given
+        var requests = 0;
+        httpsServer.start(httpPort, '127.0.0.1', onResponse, [500, 201]);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: buildApiConf({initialDelay: 10, jitter: 0}),
+            flushSize: 1
+        }, logger);
+
+        // When
+        victim.put('my_metric', 1);
+
+        // Then
+        function onResponse(lines) {
+            requests++;
+            expect(lines).to.match(/^application.my_metric 1 \d+$/);
+
+            if (requests === 2) {
+                httpsServer.stop();
+                done();
+            }
+        }
+    });
+
+    it('should retry compressed aggregated metrics after a server error', function (done) {
+        // Given
+        var requests = 0;
+        httpsServer.start(httpPort, '127.0.0.1', onResponse, [503, 201], true);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: buildApiConf({initialDelay: 10, jitter: 0}),
+            compression: true,
+            flushSize: 1
+        }, logger);
+
+        // When
+        victim.aggregatedPut('my_metric', 1, 'avg', 60);
+
+        // Then
+        function onResponse(lines) {
+            requests++;
+            expect(lines).to.match(/^application.my_metric 1 \d+$/);
+
+            if (requests === 2) {
+                httpsServer.stop();
+                done();
+            }
+        }
+    });
+
+    it('should stop retrying after the maximum number of attempts', function (done) {
+        // Given
+        var requests = 0;
+        httpsServer.start(httpPort, '127.0.0.1', onResponse, 500);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: buildApiConf({maxAttempts: 2, initialDelay: 10, jitter: 0}),
+            flushSize: 1
+        }, logger);
+
+        var errorSpy = sinon.spy(victim.logger, 'error');
+
+        // When
+        victim.put('my_metric', 1);
+
+        // Then
+        function onResponse() {
+            requests++;
+        }
+
+        setTimeout(function () {
+            httpsServer.stop();
+            errorSpy.restore();
+
+            expect(requests).to.be.equal(2);
+            expect(errorSpy.lastCall.args[0]).to.match(/^Unable to flush metrics to https:\/\/127.0.0.1:\d+\/tel\/v2.0\/metrics after 2 attempt\(s\), discarding them$/);
+            done();
+        }, 200);
+    });
+
+    it('should not retry client errors', function (done) {
+        // Given
+        var requests = 0;
+        httpsServer.start(httpPort, '127.0.0.1', onResponse, 400);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: buildApiConf({initialDelay: 10, jitter: 0}),
+            flushSize: 1
+        }, logger);
+
+        // When
+        victim.put('my_metric', 1);
+
+        // Then
+        function onResponse() {
+            requests++;
+        }
+
+        setTimeout(function () {
+            httpsServer.stop();
+
+            expect(requests).to.be.equal(1);
+            done();
+        }, 100);
+    });
+
+    it('should not retry when retries are not configured', function () {
+        expect(retryHelper.buildRetryConfig(undefined)).to.deep.equal({maxAttempts: 1});
+    });
+
+    it('should use the default retry configuration', function () {
+        expect(retryHelper.buildRetryConfig(true)).to.deep.equal({
+            maxAttempts: 3,
+            initialDelay: 1000,
+            maxDelay: 30000,
+            multiplier: 2,
+            jitter: 0.2,
+            maxAge: 60000
+        });
+    });
+
+    it('should throw when retry configuration is invalid', function () {
+        var conf = {
+            systemStats: false,
+            transport: 'api',
+            api: buildApiConf({multiplier: 0.5})
+        };
+
+        expect(Client.bind(Client, conf, logger)).to.throw('Retry configuration is invalid, please read the documentation');
+    });
+
+    it('should compute exponential delays limited by the maximum delay', function () {
+        var retry = retryHelper.buildRetryConfig({initialDelay: 100, maxDelay: 1000, jitter: 0});
+
+        expect(retryHelper.getRetryDelay(retry, 1)).to.be.equal(100);
+        expect(retryHelper.getRetryDelay(retry, 2)).to.be.equal(200);
+        expect(retryHelper.getRetryDelay(retry, 4)).to.be.equal(800);
+        expect(retryHelper.getRetryDelay(retry, 5)).to.be.equal(1000);
+    });
+
+    it('should apply jitter to the delays', function () {
+        var retry = retryHelper.buildRetryConfig({initialDelay: 100, jitter: 0.5});
+        var randomStub = sinon.stub(Math, 'random');
+
+        randomStub.returns(0);
+        expect(retryHelper.getRetryDelay(retry, 1)).to.be.equal(50);
+        randomStub.returns(1);
+        expect(retryHelper.getRetryDelay(retry, 1)).to.be.equal(150);
+        randomStub.restore();
+    });
+
+    it('should not retry beyond the maximum retry age', function () {
+        var retry = retryHelper.buildRetryConfig({maxAge: 1000});
+
+        expect(retryHelper.shouldRetry(retry, 1, Date.now(), 500)).to.be.true;
+        expect(retryHelper.shouldRetry(retry, 1, Date.now() - 800, 500)).to.be.false;
+        expect(retryHelper.shouldRetry(retry, 3, Date.now(), 500)).to.be.false;
+    });
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+var sanitizer = require('../lib/sanitizer');
+
+var udpServer = require('./tools/udp-server');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+describe('When sanitizing metrics', function () {
+    var udpPort = Math.floor(Math.random() * 10000) + 1000;
+
+    it('should escape tag values with special characters by default', function (done) {
+        // Given
+        udpServer.start(udpPort, '127.0.0.1', null, onResponse);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort,
+            flushSize: 1
+        }, logger);
+
+        var warnSpy = sinon.spy(victim.logger, 'warn');
+
+        // When
+        victim.put('my_metric', 1, {tags: {agent: 'Mozilla/5.0 (X11, Linux)', query: 'a=b'}});
+
+        // Then
+        function onResponse(lines) {
+            udpServer.stop();
+            warnSpy.restore();
+
+            expect(lines.toString()).to.match(/^application.my_metric,agent=Mozilla\/5.0\\ \(X11\\,\\ Linux\),query=a\\=b 1 \d+$/);
+            expect(warnSpy.firstCall.args[0]).to.be.equal('Tag value "Mozilla/5.0 (X11, Linux)" was sanitized to "Mozilla/5.0\\ (X11\\,\\ Linux)"');
+            done();
+        }
+    });
+
+    it('should replace special characters in names and tags', function (done) {
+        // Given
+        udpServer.start(udpPort, '127.0.0.1', null, onResponse);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort,
+            flushSize: 1,
+            namespace: 'my namespace',
+            sanitization: {policy: 'replace'}
+        }, logger);
+
+        // When
+        victim.put('my,metric', 1, {tags: {'my key': 'line\nbreak'}});
+
+        // Then
+        function onResponse(lines) {
+            udpServer.stop();
+
+            expect(lines.toString()).to.match(/^my_namespace.my_metric,my_key=line_break 1 \d+$/);
+            done();
+        }
+    });
+
+    it('should discard metrics with invalid names or tags when rejecting', function () {
+        // Given
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort,
+            sanitization: {policy: 'reject'}
+        }, logger);
+
+        var warnSpy = sinon.spy(victim.logger, 'warn');
+
+        // When
+        victim.put('my_metric', 1, {tags: {url: 'http://localhost/?a=b'}});
+
+        // Then
+        warnSpy.restore();
+
+        expect(victim.nonAggregatedBuffer.bufferSize).to.be.equal(0);
+        expect(warnSpy.lastCall.args[0]).to.be.equal('Metric "application.my_metric" was discarded due to an invalid name or tags.');
+    });
+
+    it('should escape the backslashes of names and tags before their special characters', function () {
+        var config = sanitizer.buildSanitizationConfig();
+
+        expect(sanitizer.sanitizeMetric('my_metric', {path: 'C:\\tmp\\', host: 'a'}, config)).to.deep.equal({
+            name: 'my_metric',
+            tags: {path: 'C:\\\\tmp\\\\', host: 'a'}
+        });
+        expect(sanitizer.sanitizeToken('a\\,b', 'tagValue', config)).to.be.equal('a\\\\\\,b');
+        expect(sanitizer.sanitizeToken('my\\metric', 'name', config)).to.be.equal('my\\\\metric');
+    });
+
+    it('should replace or reject the backslashes of names and tags', function () {
+        var replaceConfig = sanitizer.buildSanitizationConfig({policy: 'replace'}),
+            rejectConfig = sanitizer.buildSanitizationConfig({policy: 'reject'});
+
+        expect(sanitizer.sanitizeToken('C:\\tmp\\', 'tagValue', replaceConfig)).to.be.equal('C:_tmp_');
+        expect(sanitizer.sanitizeToken('my\\metric', 'name', replaceConfig)).to.be.equal('my_metric');
+        expect(sanitizer.sanitizeMetric('my_metric', {path: 'C:\\tmp'}, rejectConfig)).to.be.null;
+        expect(sanitizer.buildSanitizationConfig.bind(null, {replacement: '\\'})).to.throw('Sanitization configuration is invalid, please read the documentation');
+    });
+
+    it('should limit the length of names and tags', function () {
+        var config = sanitizer.buildSanitizationConfig({maxNameLength: 5, maxTagValueLength: 4});
+
+        expect(sanitizer.sanitizeToken('my_metric', 'name', config)).to.be.equal('my_me');
+        expect(sanitizer.sanitizeToken('abc def', 'tagValue', config)).to.be.equal('abc');
+        expect(sanitizer.sanitizeToken('ab\\c', 'tagValue', config)).to.be.equal('ab\\\\');
+        expect(sanitizer.sanitizeToken('a\\\\', 'tagValue', config)).to.be.equal('a\\\\');
+        expect(sanitizer.sanitizeToken('abcdef', 'name', sanitizer.buildSanitizationConfig({policy: 'reject', maxNameLength: 5}))).to.be.null;
+    });
+
+    it('should keep valid names and tags untouched', function () {
+        var warnSpy = sinon.spy(logger, 'warn');
+
+        expect(sanitizer.sanitizeMetric('application.my_metric', {env: 'qa'}, sanitizer.buildSanitizationConfig(), logger)).to.deep.equal({
+            name: 'application.my_metric',
+            tags: {env: 'qa'}
+        });
+        expect(warnSpy.called).to.be.false;
+
+        warnSpy.restore();
+    });
+
+    it('should throw when sanitization configuration is invalid', function () {
+        var conf = {
+            systemStats: false,
+            transport: 'udp',
+            sanitization: {policy: 'ignore'}
+        };
+
+        expect(Client.bind(Client, conf, logger)).to.throw('Sanitization configuration is invalid, please read the documentation');
+        expect(sanitizer.buildSanitizationConfig.bind(null, {replacement: ' '})).to.throw('Sanitization configuration is invalid, please read the documentation');
+    });
+});
@@ -0,0 +1,171 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+var SetTracker = require('../lib/set-tracker');
+var HyperLogLog = require('../lib/hyperloglog');
+
+var memoryTransport = require('./tools/memory-transport');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+describe('When sending set metrics', function () {
+    var victim, transport;
+
+    beforeEach(function () {
+        transport = memoryTransport.create();
+        victim = new Client({
+            systemStats: false,
+            flushInterval: 60000,
+            sets: {exactLimit: 100},
+            transport: transport
+        }, logger);
+    });
+
+    afterEach(function (done) {
+        victim.close(function () {
+            done();
+        });
+    });
+
+    it('should send the number of distinct values per tag set on every flush', function () {
+        // Given
+        victim.set('active_users', 'john', {tags: {country: 'pt'}});
+        victim.set('active_users', 'jane', {tags: {country: 'pt'}});
+        victim.set('active_users', 'john', {tags: {country: 'pt'}});
+        victim.set('active_users', 42, {tags: {country: 'es'}, agg: ['max'], aggFreq: 60});
+
+        // When
+        victim.flush();
+        victim.set('active_users', 'john', {tags: {country: 'pt'}});
+        victim.flush();
+
+        // Then
+        expect(transport.sent[0].payload).to.match(new RegExp(
+            '^application\\.set\\.active_users,country=pt 2 \\d+ last,10\\n' +
+            'application\\.set\\.active_users,country=es 1 \\d+ last,max,60$'));
+        expect(transport.sent[1].payload).to.match(/^application\.set\.active_users,country=pt 1 \d+ last,10$/);
+    });
+
+    it('should count the distinct values of the whole flush interval by default', function (done) {
+        // Given
+        var clock = sinon.useFakeTimers(),
+            defaultTransport = memoryTransport.create(),
+            defaultClient = new Client({
+                systemStats: false,
+                transport: defaultTransport
+            }, logger);
+
+        // When
+        defaultClient.set('active_users', 'john');
+        clock.tick(1000);
+        defaultClient.set('active_users', 'jane');
+        clock.tick(2000);
+        clock.restore();
+
+        // Then
+        expect(defaultTransport.sent.length).to.be.equal(1);
+        expect(defaultTransport.sent[0].payload).to.match(/^application\.set\.active_users 2 \d+ last,10$/);
+        defaultClient.close(function () {
+            done();
+        });
+    });
+
+    it('should estimate the sets that grow over the exact limit', function () {
+        // Given
+        for (var i = 0; i < 5000; i++) {
+            victim.set('tenants', 'tenant-' + i);
+            victim.set('tenants', 'tenant-' + i);
+        }
+
+        // When
+        victim.flush();
+
+        // Then
+        var cardinality = Number(transport.sent[0].payload.split(' ')[1]);
+        expect(cardinality).to.be.within(4850, 5150);
+    });
+
+    it('should send the sets tracked when the client is closed', function (done) {
+        // Given
+        victim.set('active_users', 'john');
+
+        // When
+        victim.close(function () {
+            // Then
+            expect(transport.sent[0].payload).to.match(/^application\.set\.active_users 1 \d+ last,10$/);
+            done();
+        });
+    });
+
+    it('should drop invalid values', function () {
+        // Given
+        var dropped = [];
+        victim.on('dropped', function (event) {
+            dropped.push(event);
+        });
+
+        // When
+        victim.set('active_users', {id: 1});
+        victim.set('active_users', 'john', {agg: ['median']});
+        victim.flush();
+
+        // Then
+        expect(transport.sent).to.be.empty;
+        expect(dropped.length).to.be.equal(2);
+        expect(dropped[0].reason).to.be.equal('invalidArguments');
+        expect(dropped[0].name).to.be.equal('set.active_users');
+    });
+
+    it('should count small sets exactly and bound the memory of large ones', function () {
+        // Given
+        var tracker = new SetTracker({exactLimit: 10, precision: 10});
+
+        // When
+        for (var i = 0; i < 10; i++) {
+            tracker.add('set.small', i, {});
+            tracker.add('set.large', i, {});
+        }
+        tracker.add('set.large', 10, {});
+
+        // Then
+        var sets = tracker.sets;
+        expect(sets['|set.small|'].size).to.be.equal(10);
+        expect(sets['|set.large|'].values).to.be.null;
+        expect(sets['|set.large|'].sketch.registers.length).to.be.equal(1024);
+
+        var collected = tracker.collect();
+        expect(collected[0]).to.include({name: 'set.small', cardinality: 10, approximate: false});
+        expect(collected[1]).to.include({name: 'set.large', approximate: true});
+        expect(collected[1].cardinality).to.be.within(9, 13);
+        expect(tracker.collect()).to.be.empty;
+    });
+
+    it('should estimate large cardinalities within the standard error of the sketch', function () {
+        // Given
+        var sketch = new HyperLogLog(14);
+
+        // When
+        for (var i = 0; i < 200000; i++) {
+            sketch.add('user-' + i);
+        }
+
+        // Then
+        expect(sketch.count()).to.be.within(200000 * 0.97, 200000 * 1.03);
+        expect(new HyperLogLog(14).count()).to.be.equal(0);
+    });
+
+    it('should throw when the sets configuration is invalid', function () {
+        var conf = {
+            systemStats: false,
+            transport: 'udp',
+            sets: {precision: 20}
+        };
+
+        expect(Client.bind(Client, conf, logger)).to.throw('Sets configuration is invalid, please read the documentation');
+        expect(new SetTracker().exactLimit).to.be.equal(1000);
+    });
+});
@@ -0,0 +1,206 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+var Spool = require('../lib/spool');
+
+var httpsServer = require('./tools/https-server');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+describe('When spooling undeliverable metrics', function () {
+    var httpPort = Math.floor(Math.random() * 20000) + 10001;
+    var apiConf, spoolPath;
+
+    function readSpool() {
+        return fs.readdirSync(spoolPath).sort().map(function (fileName) {
+            return JSON.parse(fs.readFileSync(path.join(spoolPath, fileName), 'utf8'));
+        });
+    }
+
+    beforeEach(function () {
+        spoolPath = path.join(os.tmpdir(), 'statful-spool-' + Date.now() + '-' + Math.floor(Math.random() * 100000));
+        apiConf = {
+            host: '127.0.0.1',
+            port: httpPort,
+            token: 'my-token',
+            spool: {path: spoolPath}
+        };
+    });
+
+    afterEach(function () {
+        if (!fs.existsSync(spoolPath)) {
+            return;
+        }
+
+        fs.readdirSync(spoolPath).forEach(function (fileName) {
+            fs.unlinkSync(path.join(spoolPath, fileName));
+        });
+        fs.rmdirSync(spoolPath);
+    });
+
+    it('should spool metrics keeping their aggregation routing', function (done) {
+        // Given
+        httpsServer.start(httpPort, '127.0.0.1', onResponse, 500);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: apiConf,
+            flushSize: 1
+        }, logger);
+
+        // When
+        victim.aggregatedPut('my_metric', 1, 'avg', 60);
+
+        // Then
+        function onResponse() {
+            httpsServer.stop();
+
+            setTimeout(function () {
+                var entries = readSpool();
+
+                expect(entries.length).to.be.equal(1);
+                expect(entries[0].agg).to.be.equal('avg');
+                expect(entries[0].aggFreq).to.be.equal(60);
+                expect(entries[0].message).to.match(/^application.my_metric 1 \d+$/);
+                victim.close(function () {
+                    done();
+                });
+            }, 50);
+        }
+    });
+
+    it('should replay spooled metrics in order once the endpoint recovers', function (done) {
+        // Given
+        var requests = [];
+        var spool = new Spool({path: spoolPath});
+        spool.write({message: 'application.first 1 1471519331'});
+        spool.write({agg: 'max', aggFreq: 30, message: 'application.second 1 1471519331'});
+
+        httpsServer.start(httpPort, '127.0.0.1', onResponse);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: apiConf,
+            flushSize: 1
+        }, logger);
+
+        // When
+        victim.put('my_metric', 1);
+
+        // Then
+        function onResponse(lines, url) {
+            requests.push({lines: lines, url: url});
+
+            if (requests.length === 3) {
+                httpsServer.stop();
+
+                expect(requests[0].lines).to.match(/^application.my_metric 1 \d+$/);
+                expect(requests[1]).to.deep.equal({lines: 'application.first 1 1471519331', url: '/tel/v2.0/metrics'});
+                expect(requests[2]).to.deep.equal({lines: 'application.second 1 1471519331', url: '/tel/v2.0/metrics/aggregation/max/frequency/30'});
+
+                setTimeout(function () {
+                    expect(readSpool().length).to.be.equal(0);
+                    victim.close(function () {
+                        done();
+                    });
+                }, 50);
+            }
+        }
+    });
+
+    it('should replay spooled metrics from a previous process on timed flushes', function (done) {
+        // Given
+        new Spool({path: spoolPath}).write({message: 'application.previous 1 1471519331'});
+
+        httpsServer.start(httpPort, '127.0.0.1', onResponse);
+
+        // When
+        var victim = new Client({
+            systemStats: false,
+            transport: 'api',
+            api: apiConf,
+            flushInterval: 10
+        }, logger);
+
+        // Then
+        function onResponse(lines) {
+            httpsServer.stop();
+
+            expect(lines).to.be.equal('application.previous 1 1471519331');
+            setTimeout(function () {
+                expect(readSpool().length).to.be.equal(0);
+                victim.close(function () {
+                    done();
+                });
+            }, 50);
+        }
+    });
+
+    it('should replay at most once per replay interval and back off after failed replays', function () {
+        // Given
+        var clock = sinon.useFakeTimers(),
+            spool = new Spool({path: spoolPath, replayInterval: 1000}),
+            send = sinon.stub().yields(new Error('Unable to flush metrics'));
+
+        spool.write({message: 'application.first 1 1471519331'});
+
+        // When
+        spool.replay(send);
+        spool.replay(send);
+        clock.tick(999);
+        spool.replay(send);
+        var firstReplays = send.callCount;
+
+        clock.tick(301);
+        spool.replay(send);
+        var secondReplays = send.callCount;
+
+        clock.tick(1500);
+        spool.replay(send);
+        var backedOffReplays = send.callCount;
+
+        clock.tick(1000);
+        send.yields(null);
+        spool.replay(send);
+        clock.restore();
+
+        // Then
+        expect(firstReplays).to.be.equal(1);
+        expect(secondReplays).to.be.equal(2);
+        expect(backedOffReplays).to.be.equal(2);
+        expect(send.callCount).to.be.equal(3);
+        expect(spool.isEmpty()).to.be.true;
+        expect(spool.failedReplays).to.be.equal(0);
+    });
+
+    it('should discard the oldest spooled metrics when the spool is full', function () {
+        // Given
+        var spool = new Spool({path: spoolPath, maxSize: 100}, logger);
+
+        // When
+        spool.write({message: 'application.first 1 1471519331'});
+        spool.write({message: 'application.second 1 1471519331'});
+        spool.write({message: 'application.third 1 1471519331'});
+
+        // Then
+        expect(readSpool()).to.deep.equal([
+            {message: 'application.second 1 1471519331'},
+            {message: 'application.third 1 1471519331'}
+        ]);
+    });
+
+    it('should throw when spool path is not defined', function () {
+        expect(function () {
+            return new Spool({});
+        }).to.throw('Spool path not defined');
+    });
+});
@@ -0,0 +1,210 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+var TcpConnection = require('../lib/transports/tcp-connection');
+
+var tcpServer = require('./tools/tcp-server');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+var tls = require('tls');
+var EventEmitter = require('events').EventEmitter;
+
+describe('When sending metrics via TCP', function () {
+    var tcpPort = Math.floor(Math.random() * 10000) + 31000;
+    var line = 'application.my_metric 1 1471519331';
+
+    it('should send newline delimited metrics', function (done) {
+        // Given
+        tcpServer.start(tcpPort, '127.0.0.1', false, onResponse);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'tcp',
+            tcp: {
+                port: tcpPort
+            },
+            flushSize: 2
+        }, logger);
+
+        // When
+        victim.put('my_metric', 1, {timestamp: 1471519331});
+        victim.put('my_metric', 1, {timestamp: 1471519331});
+
+        // Then
+        function onResponse(data) {
+            expect(data).to.be.equal(line + '\n' + line + '\n');
+            victim.close(function () {
+                tcpServer.stop(done);
+            });
+        }
+    });
+
+    it('should queue metrics until the connection is established', function (done) {
+        // Given
+        var errorStub = sinon.stub(logger, 'error');
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'tcp',
+            tcp: {
+                port: tcpPort,
+                reconnect: {initialDelay: 20, jitter: 0}
+            }
+        }, logger);
+
+        victim.put('my_metric', 1, {timestamp: 1471519331});
+
+        // When
+        victim.flush(function (error, results) {
+            // Then
+            expect(error).to.be.null;
+            expect(results).to.deep.equal([{
+                url: 'tcp://127.0.0.1:' + tcpPort,
+                statusCode: null,
+                lines: 1,
+                bytes: line.length + 1,
+                compressed: false,
+                attempts: 1
+            }]);
+        });
+
+        setTimeout(function () {
+            errorStub.restore();
+            expect(victim.transportInstance.connection.attempts).to.be.above(0);
+
+            tcpServer.start(tcpPort, '127.0.0.1', false, function (data) {
+                expect(data).to.be.equal(line + '\n');
+                victim.close(function () {
+                    tcpServer.stop(done);
+                });
+            });
+        }, 10);
+    });
+
+    it('should send metrics over TLS', function (done) {
+        // Given
+        tcpServer.start(tcpPort, '127.0.0.1', true, onResponse);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'tcp',
+            tcp: {
+                port: tcpPort,
+                tls: {rejectUnauthorized: false}
+            },
+            flushSize: 1
+        }, logger);
+
+        // When
+        victim.put('my_metric', 1, {timestamp: 1471519331});
+
+        // Then
+        function onResponse(data) {
+            expect(victim.transportInstance.url).to.be.equal('tls://127.0.0.1:' + tcpPort);
+            expect(data).to.be.equal(line + '\n');
+            victim.close(function () {
+                tcpServer.stop(done);
+            });
+        }
+    });
+
+    it('should only use host names as the TLS server name', function () {
+        // Given
+        var socket = new EventEmitter();
+        socket.end = sinon.spy();
+
+        var connectStub = sinon.stub(tls, 'connect').returns(socket);
+
+        // When
+        [
+            new TcpConnection({host: 'statful-relay', port: tcpPort, tls: true}),
+            new TcpConnection({host: '127.0.0.1', port: tcpPort, tls: {servername: 'statful-relay'}}),
+            new TcpConnection({host: '::1', port: tcpPort, tls: true})
+        ].forEach(function (connection) {
+            connection.close();
+        });
+        connectStub.restore();
+
+        // Then
+        expect(connectStub.firstCall.args[0].servername).to.be.equal('statful-relay');
+        expect(connectStub.secondCall.args[0].servername).to.be.equal('statful-relay');
+        expect(connectStub.thirdCall.args[0]).to.not.have.property('servername');
+    });
+
+    it('should fail metrics that don\'t fit in the queue', function (done) {
+        // Given
+        var errorStub = sinon.stub(logger, 'error');
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'tcp',
+            tcp: {
+                port: tcpPort,
+                maxQueueSize: 10
+            }
+        }, logger);
+
+        victim.put('my_metric', 1);
+
+        // When
+        victim.flush(function (error, results) {
+            // Then
+            errorStub.restore();
+
+            expect(results[0].error.message).to.be.equal('Unable to flush metrics to tcp://127.0.0.1:' + tcpPort +
+                ': Connection to tcp://127.0.0.1:' + tcpPort + ' is not established and its queue is full');
+            victim.close(done);
+        });
+    });
+
+    it('should fail queued metrics when closing', function (done) {
+        // Given
+        var errorStub = sinon.stub(logger, 'error');
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'tcp',
+            tcp: {
+                port: tcpPort
+            },
+            closeTimeout: 50
+        }, logger);
+
+        var droppedSpy = sinon.spy();
+        victim.on('dropped', droppedSpy);
+
+        victim.put('my_metric', 1);
+        victim.aggregatedPut('my_metric', 1, 'avg', 60);
+
+        // When
+        victim.close(function (error) {
+            // Then
+            errorStub.restore();
+
+            expect(error.message).to.be.equal('Timed out waiting for 1 in-flight flush(es) to finish');
+            expect(droppedSpy.args).to.deep.equal([
+                [{reason: 'aggregationNotSupported', count: 1}],
+                [{reason: 'deliveryFailure', count: 1}]
+            ]);
+            expect(errorStub.lastCall.args[0]).to.be.equal('Unable to flush metrics to tcp://127.0.0.1:' + tcpPort +
+                ': Connection to tcp://127.0.0.1:' + tcpPort + ' is closed, discarding them');
+            done();
+        });
+    });
+
+    it('should throw when tcp configuration is invalid', function () {
+        var conf = {
+            systemStats: false,
+            transport: 'tcp',
+            tcp: {
+                reconnect: {multiplier: 0.5}
+            }
+        };
+
+        expect(Client.bind(Client, conf, logger)).to.throw('TCP configuration is invalid, please read the documentation');
+    });
+});
@@ -9,6 +9,7 @@ var httpsServer = require('./tools/https-server');
 var logger = require('bunyan').createLogger({name: 'tests'});
 
 var expect = require('chai').expect;
+var sinon = require('sinon');
 
 describe('When sending timer metrics', function () {
     var httpPort = Math.floor(Math.random() * 20000) + 10001;
@@ -302,4 +303,93 @@ describe('When sending timer metrics', function () {
             done();
         }
     });
+
+    describe('with a timer handle', function () {
+        var client, hrtimeStub;
+
+        beforeEach(function () {
+            client = new Client({
+                systemStats: false,
+                transport: 'udp',
+                port: udpPort
+            }, logger);
+
+            hrtimeStub = sinon.stub(process, 'hrtime');
+            hrtimeStub.onFirstCall().returns([1000, 0]);
+            hrtimeStub.onSecondCall().returns([1, 2500000]);
+        });
+
+        afterEach(function () {
+            hrtimeStub.restore();
+        });
+
+        it('should send the elapsed time in milliseconds with the extra tags', function () {
+            // Given
+            var timer = client.startTimer('my_metric', {tags: {method: 'login'}});
+
+            // When
+            var elapsed = timer.stop({status: 'ok'});
+
+            // Then
+            expect(hrtimeStub.secondCall.args[0]).to.deep.equal([1000, 0]);
+            expect(elapsed).to.be.equal(1002.5);
+            expect(client.nonAggregatedBuffer.buffer).to.match(/^application\.timer\.my_metric,method=login,status=ok,unit=ms 1002\.5 \d+ avg,p90,count,10$/);
+        });
+
+        it('should send the elapsed time in the specified unit', function () {
+            // Given
+            var timer = client.startTimer('my_metric', {unit: 'us', agg: ['max'], aggFreq: 60});
+
+            // When
+            var elapsed = timer.stop();
+
+            // Then
+            expect(elapsed).to.be.equal(1002500);
+            expect(client.nonAggregatedBuffer.buffer).to.match(/^application\.timer\.my_metric,unit=us 1002500 \d+ avg,p90,count,max,60$/);
+        });
+
+        it('should only send the timer once', function () {
+            // Given
+            var timer = client.startTimer('my_metric', {unit: 's'});
+
+            // When
+            var first = timer.stop(),
+                second = timer.stop();
+
+            // Then
+            expect(first).to.be.equal(1.0025);
+            expect(second).to.be.equal(first);
+            expect(client.nonAggregatedBuffer.bufferSize).to.be.equal(1);
+        });
+
+        it('should drop the timer as soon as it is started when the unit is invalid', function () {
+            // Given
+            var droppedSpy = sinon.spy();
+            client.on('dropped', droppedSpy);
+
+            // When
+            var timer = client.startTimer('my_metric', {unit: 'minutes'});
+
+            // Then
+            expect(droppedSpy.calledOnce).to.be.true;
+            expect(timer.stop()).to.be.undefined;
+            expect(droppedSpy.calledOnce).to.be.true;
+            expect(client.nonAggregatedBuffer.bufferSize).to.be.equal(0);
+            expect(droppedSpy.calledWith({reason: 'invalidArguments', count: 1, name: 'timer.my_metric'})).to.be.true;
+        });
+
+        it('should drop the timer as soon as it is started when the aggregations are invalid', function () {
+            // Given
+            var droppedSpy = sinon.spy();
+            client.on('dropped', droppedSpy);
+
+            // When
+            var timer = client.startTimer('my_metric', {agg: ['median']});
+
+            // Then
+            expect(droppedSpy.calledWith({reason: 'invalidArguments', count: 1, name: 'timer.my_metric'})).to.be.true;
+            expect(timer.stop()).to.be.undefined;
+            expect(client.nonAggregatedBuffer.bufferSize).to.be.equal(0);
+        });
+    });
 });
@@ -18,7 +18,7 @@ exports.stop = function () {
 };
 
 exports.start = function (port, address, callback, responseCode, uncompress) {
-    responseCode = responseCode || 201;
+    var responseCodes = [].concat(responseCode || 201);
     uncompress = uncompress || false;
 
     process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
@@ -39,8 +39,8 @@ exports.start = function (port, address, callback, responseCode, uncompress) {
             data += chunk.toString();
         });
         pipe.on('end', function () {
-            callback(data);
-            res.writeHead(responseCode);
+            callback(data, req.url);
+            res.writeHead(responseCodes.length > 1 ? responseCodes.shift() : responseCodes[0]);
             res.end('ok');
         });
     });
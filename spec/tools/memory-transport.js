@@ -0,0 +1,23 @@
+'use strict';
+
+var sinon = require('sinon');
+
+/**
+ * Creates a custom transport that keeps the payloads sent, with their routing, in memory.
+ *
+ * @param options An object with the transport name, capabilities, and the error and details its sends call back with.
+ */
+exports.create = function (options) {
+    options = options || {};
+
+    return {
+        name: options.name || 'memory',
+        capabilities: options.capabilities || {aggregatedMetrics: false},
+        sent: [],
+        send: function (payload, routing, callback) {
+            this.sent.push({payload: payload, routing: routing});
+            callback(options.error, options.details);
+        },
+        close: sinon.spy()
+    };
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+var net = require('net');
+var tls = require('tls');
+var fs = require('fs');
+
+var options = {
+    key: fs.readFileSync('./spec/fixtures/keys/agent-key.pem'),
+    cert: fs.readFileSync('./spec/fixtures/keys/agent-cert.pem')
+};
+
+var server;
+var sockets = [];
+
+exports.stop = function (callback) {
+    sockets.forEach(function (socket) {
+        socket.destroy();
+    });
+    sockets = [];
+    server.close(callback);
+};
+
+exports.start = function (port, address, secure, callback) {
+    var onConnection = function (socket) {
+        sockets.push(socket);
+        socket.on('data', function (data) {
+            callback(data.toString());
+        });
+    };
+
+    server = secure ? tls.createServer(options, onConnection) : net.createServer(onConnection);
+    server.listen(port, address);
+};
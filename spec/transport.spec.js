@@ -0,0 +1,150 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+var transports = require('../lib/transports');
+
+var memoryTransport = require('./tools/memory-transport');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+describe('When using custom transports', function () {
+
+    function buildTransport(capabilities, error, details) {
+        return memoryTransport.create({capabilities: capabilities, error: error, details: details});
+    }
+
+    it('should send metrics and aggregated metrics with their routing', function (done) {
+        // Given
+        var transport = buildTransport({aggregatedMetrics: true}, null, {url: 'memory://metrics'});
+
+        var victim = new Client({
+            systemStats: false,
+            transport: transport
+        }, logger);
+
+        victim.put('my_metric', 1, {timestamp: 1471519331});
+        victim.aggregatedPut('my_metric', 2, 'avg', 60, {timestamp: 1471519331});
+
+        // When
+        victim.flush(function (error, results) {
+            // Then
+            expect(error).to.be.null;
+            expect(victim.transport).to.be.equal('memory');
+            expect(victim.transportInstance).to.be.equal(transport);
+            expect(transport.sent).to.deep.equal([
+                {payload: 'application.my_metric 1 1471519331', routing: null},
+                {payload: 'application.my_metric 2 1471519331', routing: {agg: 'avg', aggFreq: 60}}
+            ]);
+            expect(results[0]).to.deep.equal({
+                url: 'memory://metrics',
+                statusCode: null,
+                lines: 1,
+                bytes: 34,
+                compressed: false,
+                attempts: 1
+            });
+            done();
+        });
+    });
+
+    it('should split payloads up to the maximum payload size of the transport', function () {
+        // Given
+        var transport = buildTransport({aggregatedMetrics: false, maxPayloadSize: 40});
+
+        var victim = new Client({
+            systemStats: false,
+            transport: transport
+        }, logger);
+
+        victim.put('my_metric', 1, {timestamp: 1471519331});
+        victim.put('my_metric', 2, {timestamp: 1471519331});
+
+        // When
+        victim.flush();
+
+        // Then
+        expect(transport.sent).to.deep.equal([
+            {payload: 'application.my_metric 1 1471519331', routing: null},
+            {payload: 'application.my_metric 2 1471519331', routing: null}
+        ]);
+    });
+
+    it('should drop aggregated metrics when the transport doesn\'t support them', function () {
+        // Given
+        var transport = buildTransport({aggregatedMetrics: false});
+
+        var victim = new Client({
+            systemStats: false,
+            transport: transport
+        }, logger);
+
+        var droppedSpy = sinon.spy();
+        victim.on('dropped', droppedSpy);
+
+        victim.aggregatedPut('my_metric', 2, 'avg', 60);
+
+        // When
+        victim.flush();
+
+        // Then
+        expect(transport.sent).to.deep.equal([]);
+        expect(droppedSpy.calledWith({reason: 'aggregationNotSupported', count: 1})).to.be.true;
+    });
+
+    it('should report the errors of the transport', function (done) {
+        // Given
+        var transport = buildTransport({aggregatedMetrics: false}, new Error('Unable to flush metrics to memory'));
+        var errorStub = sinon.stub(logger, 'error');
+
+        var victim = new Client({
+            systemStats: false,
+            transport: transport
+        }, logger);
+
+        victim.put('my_metric', 1);
+
+        // When
+        victim.flush(function (error, results) {
+            // Then
+            errorStub.restore();
+
+            expect(results[0].url).to.be.equal('memory');
+            expect(results[0].error.message).to.be.equal('Unable to flush metrics to memory');
+            expect(errorStub.lastCall.args[0]).to.be.equal('Unable to flush metrics to memory, discarding them');
+            done();
+        });
+    });
+
+    it('should close the transport when the client is closed', function (done) {
+        // Given
+        var transport = buildTransport({aggregatedMetrics: false});
+
+        var victim = new Client({
+            systemStats: false,
+            transport: transport
+        }, logger);
+
+        // When
+        victim.close(function () {
+            // Then
+            expect(transport.close.calledOnce).to.be.true;
+            done();
+        });
+    });
+
+    it('should throw when the transport is invalid', function () {
+        var conf = {
+            systemStats: false,
+            transport: {send: function () {}}
+        };
+
+        expect(Client.bind(Client, conf, logger)).to.throw('Transport is invalid, please read the documentation');
+        expect(Client.bind(Client, {transport: 'http'}, logger)).to.throw('Transport is invalid, please read the documentation');
+        expect(transports.isTransportValid(buildTransport({}))).to.be.true;
+        expect(transports.isTransportValid(null)).to.be.false;
+    });
+});
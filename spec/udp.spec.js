@@ -0,0 +1,228 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+var bufferHelper = require('../lib/buffer-helper');
+
+var udpServer = require('./tools/udp-server');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+describe('When sending metrics via UDP', function () {
+    var udpPort = Math.floor(Math.random() * 10000) + 1000;
+    var line = 'application.my_metric 1 1471519331';
+
+    it('should split the metrics into datagrams up to the maximum datagram size', function (done) {
+        // Given
+        var datagrams = [];
+        udpServer.start(udpPort, '127.0.0.1', null, onResponse);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort,
+            udp: {
+                maxDatagramSize: line.length * 2 + 1
+            }
+        }, logger);
+
+        for (var i = 0; i < 5; i++) {
+            victim.put('my_metric', 1, {timestamp: 1471519331});
+        }
+
+        // When
+        victim.flush(function (error, results) {
+            // Then
+            expect(error).to.be.null;
+            expect(results.length).to.be.equal(3);
+            expect(results[0].lines).to.be.equal(2);
+            expect(results[0].bytes).to.be.equal(line.length * 2 + 1);
+            expect(results[2].lines).to.be.equal(1);
+        });
+
+        function onResponse(lines) {
+            datagrams.push(lines.toString());
+
+            if (datagrams.length === 3) {
+                udpServer.stop();
+
+                expect(datagrams.sort()).to.deep.equal([line, line + '\n' + line, line + '\n' + line]);
+                done();
+            }
+        }
+    });
+
+    it('should report datagrams that failed to be sent', function (done) {
+        // Given
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort
+        }, logger);
+
+        var errorStub = sinon.stub(victim.logger, 'error');
+        var sendStub = sinon.stub(victim.transportInstance.socket, 'send').yields(new Error('send EMSGSIZE'));
+
+        victim.put('my_metric', 1);
+
+        // When
+        victim.flush(function (error, results) {
+            // Then
+            errorStub.restore();
+            sendStub.restore();
+
+            expect(error.message).to.be.equal('1 of 1 flush request(s) failed');
+            expect(results[0].error.message).to.be.equal('Unable to flush metrics to udp://127.0.0.1:' + udpPort + ': send EMSGSIZE');
+            expect(errorStub.firstCall.args[0]).to.be.equal('Unable to flush metrics to udp://127.0.0.1:' + udpPort + ': send EMSGSIZE, discarding them');
+            done();
+        });
+    });
+
+    it('should send metrics to IPv6 addresses', function (done) {
+        // Given
+        udpServer.start(udpPort, '::1', true, onResponse);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            udp: {
+                host: '::1',
+                port: udpPort
+            },
+            flushSize: 1
+        }, logger);
+
+        // When
+        victim.put('my_metric', 1, {timestamp: 1471519331});
+
+        // Then
+        function onResponse(lines) {
+            udpServer.stop();
+
+            expect(victim.transportInstance.socket.type).to.be.equal('udp6');
+            expect(lines.toString()).to.be.equal(line);
+            done();
+        }
+    });
+
+    it('should resolve the host with the specified family', function (done) {
+        // Given
+        udpServer.start(udpPort, '127.0.0.1', null, onResponse);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            udp: {
+                host: 'localhost',
+                port: udpPort,
+                family: 4
+            },
+            flushSize: 1
+        }, logger);
+
+        // When
+        victim.put('my_metric', 1, {timestamp: 1471519331});
+
+        // Then
+        function onResponse(lines) {
+            udpServer.stop();
+
+            expect(victim.transportInstance.address).to.be.equal('127.0.0.1');
+            expect(victim.transportInstance.socket.type).to.be.equal('udp4');
+            expect(lines.toString()).to.be.equal(line);
+            victim.close(done);
+        }
+    });
+
+    it('should re-resolve the host periodically', function (done) {
+        // Given
+        var clock = sinon.useFakeTimers();
+        var dns = require('dns');
+        var lookupStub = sinon.stub(dns, 'lookup').yields(null, '127.0.0.1', 4);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            udp: {
+                host: 'statful-relay',
+                dnsRefreshInterval: 1000
+            }
+        }, logger);
+
+        // When
+        lookupStub.yields(null, '::1', 6);
+        clock.tick(1000);
+
+        // Then
+        clock.restore();
+        lookupStub.restore();
+
+        expect(lookupStub.callCount).to.be.equal(2);
+        expect(lookupStub.firstCall.args[0]).to.be.equal('statful-relay');
+        expect(victim.transport).to.be.equal('udp');
+        expect(victim.host).to.be.equal('statful-relay');
+        expect(victim.port).to.be.equal(2013);
+        expect(victim.transportInstance.address).to.be.equal('::1');
+        expect(victim.socket.type).to.be.equal('udp6');
+        victim.close(done);
+    });
+
+    it('should report metrics that could not be sent when the host can\'t be resolved', function (done) {
+        // Given
+        var dns = require('dns');
+        var lookupStub = sinon.stub(dns, 'lookup').yields(new Error('getaddrinfo ENOTFOUND statful-relay'));
+        var errorStub = sinon.stub(logger, 'error');
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            udp: {
+                host: 'statful-relay'
+            }
+        }, logger);
+
+        victim.put('my_metric', 1);
+
+        // When
+        victim.flush(function (error, results) {
+            // Then
+            lookupStub.restore();
+            errorStub.restore();
+
+            expect(results[0].error.message).to.be.equal('Unable to flush metrics to udp://statful-relay:2013: getaddrinfo ENOTFOUND statful-relay');
+            expect(errorStub.firstCall.args[0]).to.be.equal('Unable to resolve statful-relay: Error: getaddrinfo ENOTFOUND statful-relay');
+            expect(victim.transportInstance.socket).to.be.undefined;
+            victim.close(done);
+        });
+    });
+
+    it('should throw when the family is invalid', function () {
+        var conf = {
+            systemStats: false,
+            transport: 'udp',
+            udp: {
+                family: 'ipv6'
+            }
+        };
+
+        expect(Client.bind(Client, conf, logger)).to.throw('UDP family is invalid, please read the documentation');
+    });
+
+    it('should keep lines bigger than the maximum datagram size in datagrams of their own', function () {
+        expect(bufferHelper.splitLines('a\nbbbbbb\nc\nd', 3)).to.deep.equal(['a', 'bbbbbb', 'c\nd']);
+        expect(bufferHelper.splitLines('a', 3)).to.deep.equal(['a']);
+    });
+
+    it('should throw when the maximum datagram size is invalid', function () {
+        var conf = {
+            systemStats: false,
+            transport: 'udp',
+            maxDatagramSize: 65508
+        };
+
+        expect(Client.bind(Client, conf, logger)).to.throw('UDP maximum datagram size is invalid, please read the documentation');
+    });
+});
@@ -0,0 +1,173 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+
+var tcpServer = require('./tools/tcp-server');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+var EventEmitter = require('events').EventEmitter;
+var Module = require('module');
+var os = require('os');
+var path = require('path');
+
+describe('When sending metrics via Unix domain sockets', function () {
+    var socketPath = path.join(os.tmpdir(), 'statful-client-' + process.pid + '.sock');
+    var line = 'application.my_metric 1 1471519331';
+
+    it('should send newline delimited metrics through a stream socket', function (done) {
+        // Given
+        tcpServer.start(socketPath, undefined, false, onResponse);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'unix',
+            unix: {
+                path: socketPath
+            },
+            flushSize: 1
+        }, logger);
+
+        // When
+        victim.put('my_metric', 1, {timestamp: 1471519331});
+
+        // Then
+        function onResponse(data) {
+            expect(victim.transportInstance.url).to.be.equal('unix://' + socketPath);
+            expect(data).to.be.equal(line + '\n');
+            victim.close(function () {
+                tcpServer.stop(done);
+            });
+        }
+    });
+
+    it('should throw when the socket path is not defined', function () {
+        var conf = {
+            systemStats: false,
+            transport: 'unix'
+        };
+
+        expect(Client.bind(Client, conf, logger)).to.throw('Unix socket path not defined');
+    });
+
+    it('should throw when the socket type is invalid', function () {
+        var conf = {
+            systemStats: false,
+            transport: 'unix',
+            unix: {
+                path: socketPath,
+                type: 'seqpacket'
+            }
+        };
+
+        expect(Client.bind(Client, conf, logger)).to.throw('Unix socket type is invalid, please read the documentation');
+    });
+
+    describe('through a datagram socket', function () {
+        var load = Module._load,
+            unixDgram,
+            socket;
+
+        function buildClient() {
+            return new Client({
+                systemStats: false,
+                transport: 'unix',
+                unix: {
+                    path: socketPath,
+                    type: 'dgram'
+                },
+                flushSize: 1
+            }, logger);
+        }
+
+        beforeEach(function () {
+            socket = new EventEmitter();
+            socket.send = sinon.spy(function (buffer, offset, length, path, callback) {
+                setImmediate(callback, unixDgram.error);
+            });
+            socket.close = sinon.spy();
+
+            unixDgram = {
+                createSocket: sinon.spy(function () {
+                    return socket;
+                })
+            };
+
+            Module._load = function (request) {
+                if (request === 'unix-dgram') {
+                    return unixDgram;
+                }
+                return load.apply(this, arguments);
+            };
+        });
+
+        afterEach(function () {
+            Module._load = load;
+        });
+
+        it('should send each payload in a single datagram', function (done) {
+            // Given
+            var victim = buildClient();
+
+            victim.on('sent', function (result) {
+                // Then
+                expect(unixDgram.createSocket.calledWith('unix_dgram')).to.be.true;
+                expect(socket.send.calledOnce).to.be.true;
+                expect(socket.send.firstCall.args[0].toString()).to.be.equal(line);
+                expect(socket.send.firstCall.args.slice(1, 4)).to.deep.equal([0, line.length, socketPath]);
+                expect(result.bytes).to.be.equal(line.length);
+                victim.close(function () {
+                    done();
+                });
+            });
+
+            // When
+            victim.put('my_metric', 1, {timestamp: 1471519331});
+        });
+
+        it('should fail the flush when the datagram is not sent', function (done) {
+            // Given
+            var victim = buildClient();
+            unixDgram.error = new Error('ECONNREFUSED');
+
+            victim.on('error', function (error) {
+                // Then
+                expect(error.message).to.be.equal('Unable to flush metrics to unix://' + socketPath + ': ECONNREFUSED');
+                victim.close(function () {
+                    done();
+                });
+            });
+
+            // When
+            victim.put('my_metric', 1, {timestamp: 1471519331});
+        });
+
+        it('should close the socket when the client is closed', function (done) {
+            // Given
+            var victim = buildClient();
+
+            // When
+            victim.close(function () {
+                // Then
+                expect(socket.close.calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should throw when the unix-dgram package is not installed', function () {
+            // Given
+            Module._load = function (request) {
+                if (request === 'unix-dgram') {
+                    throw new Error('Cannot find module \'unix-dgram\'');
+                }
+                return load.apply(this, arguments);
+            };
+
+            // Then
+            expect(buildClient).to.throw('Unix datagram sockets require the unix-dgram package, please read the documentation');
+        });
+    });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+/*jshint -W003 */
+
+var Client = require('../lib/client');
+var configHelper = require('../lib/config-helper');
+
+var udpServer = require('./tools/udp-server');
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+var sinon = require('sinon');
+
+describe('When validating metric values', function () {
+    var udpPort = Math.floor(Math.random() * 10000) + 1000;
+
+    it('should send floats without floating point noise', function (done) {
+        // Given
+        udpServer.start(udpPort, '127.0.0.1', null, onResponse);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort,
+            flushSize: 1
+        }, logger);
+
+        // When
+        victim.gauge('my_metric', 0.1 + 0.2);
+
+        // Then
+        function onResponse(lines) {
+            udpServer.stop();
+
+            expect(lines.toString()).to.match(/^application.gauge.my_metric 0.3 \d+ last,10$/);
+            done();
+        }
+    });
+
+    it('should send values with the configured precision and rounding', function (done) {
+        // Given
+        udpServer.start(udpPort, '127.0.0.1', null, onResponse);
+
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort,
+            flushSize: 1,
+            valuePrecision: 2,
+            valueRounding: 'floor'
+        }, logger);
+
+        // When
+        victim.timer('my_metric', '12.3456');
+
+        // Then
+        function onResponse(lines) {
+            udpServer.stop();
+
+            expect(lines.toString()).to.match(/^application.timer.my_metric,unit=ms 12.34 \d+ avg,p90,count,10$/);
+            done();
+        }
+    });
+
+    it('should not send metrics with invalid values', function () {
+        // Given
+        var victim = new Client({
+            systemStats: false,
+            transport: 'udp',
+            port: udpPort
+        }, logger);
+
+        var warnSpy = sinon.spy(victim.logger, 'warn');
+
+        // When
+        victim.counter('my_metric', NaN);
+        victim.gauge('my_metric', Infinity);
+        victim.timer('my_metric');
+        victim.put('my_metric', {value: 1});
+        victim.aggregatedPut('my_metric', '1 second', 'avg', 60);
+
+        // Then
+        warnSpy.restore();
+
+        expect(victim.nonAggregatedBuffer.bufferSize).to.be.equal(0);
+        expect(victim.aggregatedBuffer.bufferSize).to.be.equal(0);
+        expect(warnSpy.callCount).to.be.equal(5);
+        expect(warnSpy.firstCall.args[0]).to.be.equal('Metric not sent. The value NaN is not a valid number.');
+    });
+
+    it('should convert values that can be converted safely', function () {
+        expect(configHelper.normalizeValue(' 42 ')).to.be.equal(42);
+        expect(configHelper.normalizeValue('-1.5e3')).to.be.equal(-1500);
+        expect(configHelper.normalizeValue(true)).to.be.equal(1);
+        expect(configHelper.normalizeValue(false)).to.be.equal(0);
+        expect(configHelper.normalizeValue('')).to.be.undefined;
+        expect(configHelper.normalizeValue(null)).to.be.undefined;
+        expect(configHelper.normalizeValue('0x10')).to.be.undefined;
+    });
+
+    it('should convert BigInts within the safe integer range', function () {
+        if (typeof global.BigInt !== 'function') {
+            return;
+        }
+
+        expect(configHelper.normalizeValue(global.BigInt(42))).to.be.equal(42);
+        expect(configHelper.normalizeValue(global.BigInt('90071992547409910'))).to.be.undefined;
+    });
+
+    it('should round values to the specified precision', function () {
+        expect(configHelper.normalizeValue(1.005, 2)).to.be.equal(1);
+        expect(configHelper.normalizeValue(1.006, 2)).to.be.equal(1.01);
+        expect(configHelper.normalizeValue(1.001, 2, 'ceil')).to.be.equal(1.01);
+        expect(configHelper.normalizeValue(1234.5, 0)).to.be.equal(1235);
+    });
+
+    it('should throw when value precision configuration is invalid', function () {
+        var conf = {
+            systemStats: false,
+            transport: 'udp',
+            valuePrecision: 2,
+            valueRounding: 'truncate'
+        };
+
+        expect(Client.bind(Client, conf, logger)).to.throw('Value precision configuration is invalid, please read the documentation');
+    });
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+/*jshint -W003 */
+/*global Promise */
+
+var Client = require('../lib/client');
+
+var logger = require('bunyan').createLogger({name: 'tests'});
+
+var expect = require('chai').expect;
+
+describe('When instrumenting operations', function () {
+    var victim;
+
+    function getLines() {
+        return victim.nonAggregatedBuffer.buffer.split('\n');
+    }
+
+    beforeEach(function () {
+        victim = new Client({
+            systemStats: false,
+            flushInterval: 60000,
+            transport: 'udp'
+        }, logger);
+    });
+
+    afterEach(function (done) {
+        victim.close(function () {
+            done();
+        });
+    });
+
+    it('should time and count successful synchronous calls', function () {
+        // Given
+        var wrapped = victim.wrap('sum', function (a, b) {
+            return a + b + this.offset;
+        }, {tags: {service: 'math'}});
+
+        // When
+        var result = wrapped.call({offset: 1}, 1, 2);
+
+        // Then
+        expect(result).to.be.equal(4);
+        expect(getLines().length).to.be.equal(2);
+        expect(getLines()[0]).to.match(/^application\.timer\.sum,service=math,outcome=success,unit=ms [\d.]+ \d+ avg,p90,count,10$/);
+        expect(getLines()[1]).to.match(/^application\.counter\.sum,service=math,outcome=success 1 \d+ sum,count,10$/);
+    });
+
+    it('should time and count synchronous calls that throw with the error class', function () {
+        // Given
+        var wrapped = victim.wrap('parse', function () {
+            return JSON.parse('{');
+        });
+
+        // When
+        expect(wrapped).to.throw(SyntaxError);
+
+        // Then
+        expect(getLines()[0]).to.match(/^application\.timer\.parse,outcome=error,errorClass=SyntaxError,unit=ms /);
+        expect(getLines()[1]).to.match(/^application\.counter\.parse,outcome=error,errorClass=SyntaxError 1 /);
+    });
+
+    it('should time node-style callbacks until they are called', function (done) {
+        // Given
+        var wrapped = victim.wrap('read', function (path, callback) {
+            setTimeout(function () {
+                callback(new TypeError('Invalid path'), null);
+            }, 5);
+        }, {unit: 'us', callback: true});
+
+        // When
+        wrapped('/tmp/file', function (error, data) {
+            // Then
+            expect(error.message).to.be.equal('Invalid path');
+            expect(data).to.be.null;
+            expect(getLines()[0]).to.match(/^application\.timer\.read,outcome=error,errorClass=TypeError,unit=us [\d.]+ /);
+            expect(Number(getLines()[0].split(' ')[1])).to.be.at.least(4000);
+            expect(getLines()[1]).to.match(/^application\.counter\.read,outcome=error,errorClass=TypeError 1 /);
+            done();
+        });
+
+        expect(victim.nonAggregatedBuffer.bufferSize).to.be.equal(0);
+    });
+
+    it('should not take function arguments as callbacks unless told to', function () {
+        // Given
+        var handlers = [];
+        var transform = victim.wrap('transform', function (items, fn) {
+            return items.map(fn);
+        });
+        var subscribe = victim.wrap('subscribe', function (handler) {
+            handlers.push(handler);
+        });
+
+        // When
+        var result = transform([1, 2], function (item) {
+            return item * 2;
+        });
+        subscribe(function () {});
+
+        // Then
+        expect(result).to.deep.equal([2, 4]);
+        expect(handlers.length).to.be.equal(1);
+        expect(getLines()[1]).to.match(/^application\.counter\.transform,outcome=success 1 /);
+        expect(getLines()[3]).to.match(/^application\.counter\.subscribe,outcome=success 1 /);
+    });
+
+    it('should time synchronously the callback style functions called without a callback', function () {
+        // Given
+        var wrapped = victim.wrap('read', function (path) {
+            return path;
+        }, {callback: true});
+
+        // When
+        var result = wrapped('/tmp/file');
+
+        // Then
+        expect(result).to.be.equal('/tmp/file');
+        expect(getLines()[1]).to.match(/^application\.counter\.read,outcome=success 1 /);
+    });
+
+    it('should time functions that return promises until they settle', function () {
+        // Given
+        var wrapped = victim.wrap('fetch', function (value) {
+            return Promise.resolve(value);
+        });
+
+        // When
+        return wrapped('ok').then(function (value) {
+            // Then
+            expect(value).to.be.equal('ok');
+            expect(getLines()[1]).to.match(/^application\.counter\.fetch,outcome=success 1 /);
+        });
+    });
+
+    it('should time promises with timeAsync and keep their outcome', function () {
+        // Given
+        var operation = function () {
+            return Promise.reject(new RangeError('Out of range'));
+        };
+
+        // When
+        return victim.timeAsync('lookup', operation, {tags: {table: 'users'}}).then(function () {
+            throw new Error('Expected the promise to be rejected');
+        }, function (error) {
+            // Then
+            expect(error).to.be.an.instanceof(RangeError);
+            expect(getLines()[0]).to.match(/^application\.timer\.lookup,table=users,outcome=error,errorClass=RangeError,unit=ms /);
+            expect(getLines()[1]).to.match(/^application\.counter\.lookup,table=users,outcome=error,errorClass=RangeError 1 /);
+
+            return victim.timeAsync('lookup', Promise.resolve(1));
+        }).then(function (value) {
+            expect(value).to.be.equal(1);
+            expect(getLines()[3]).to.match(/^application\.counter\.lookup,outcome=success 1 /);
+        });
+    });
+
+    it('should tag errors without a class as Error', function () {
+        return victim.timeAsync('lookup', function () {
+            throw null;
+        }).catch(function () {
+            expect(getLines()[1]).to.match(/^application\.counter\.lookup,outcome=error,errorClass=Error 1 /);
+        });
+    });
+});